@@ -6,7 +6,43 @@
 const SHEET_URL = ''        // leave blank or add a sheet here - eg mike's sheet: https://docs.google.com/spreadsheets/d/1QgNpe-HniHsMPLdHicegAg1ka01l-GNKbvOw_XBMNTM/edit?gid=0#gid=0'; 
 const TAB = 'SearchTerms';  // change tab name if you prefer
 
-// GAQL query for search terms from search campaigns. 
+// Date range - a preset (LAST_7_DAYS, LAST_14_DAYS, LAST_30_DAYS, YESTERDAY, TODAY, THIS_MONTH, LAST_MONTH)
+// or a custom range by setting both START_DATE and END_DATE (eg '2025-05-01')
+const DATE_RANGE = 'LAST_30_DAYS';
+const START_DATE = '';
+const END_DATE = '';
+
+// Comparison period - 'PREVIOUS_PERIOD' (the same number of days just before), 'PREVIOUS_YEAR'
+// (the same dates last year) or '' to just write a single snapshot
+const COMPARE_TO = '';
+
+// N-gram analysis - one tab per n-gram size (eg 'NGrams 1', 'NGrams 2', 'NGrams 3'), sorted by cost
+const NGRAM_SIZES = [1, 2, 3];     // set to [] to skip the n-gram tabs
+const NGRAM_MIN_FREQUENCY = 2;     // leave out n-grams found in fewer search terms than this
+const NGRAM_STOP_WORDS = ['a', 'an', 'and', 'at', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with'];  // n-grams made only of these are skipped
+const NGRAM_BY_CAMPAIGN = false;   // true gives one row per n-gram per campaign
+const NGRAM_TAB_PREFIX = 'NGrams';
+
+// Manager account (MCC) mode - run the report for each client account. Pick accounts by label and/or
+// customer ID (both blank = every account). Each account gets its own tab (eg 'SearchTerms - Acme')
+// unless ACCOUNT_COLUMN is true, which puts every account in TAB with an Account column first.
+// N-gram tabs are only written for a single account.
+const MCC_MODE = false;
+const ACCOUNT_LABEL = '';          // eg 'AI Search Terms'
+const ACCOUNT_IDS = [];            // eg ['123-456-7890', '098-765-4321']
+const ACCOUNT_COLUMN = false;
+const SUMMARY_TAB = 'Search Term Accounts';
+
+// Other channels - Shopping search terms come from the same report as Search. Performance Max only
+// shares search term insight categories (eg 'swimwear') without cost, so its Cost, CPC, CPA and ROAS
+// show as NOT_AVAILABLE. A Channel column is added when either is switched on.
+const INCLUDE_SHOPPING = false;
+const INCLUDE_PMAX = false;
+const NOT_AVAILABLE = 'N/A';
+const PMAX_UNAVAILABLE = ["Cost", "CPC", "CPA", "ROAS", "Prior Cost", "Prior CPA", "Prior ROAS", "Cost Change", "Cost Change %", "CPA Change", "CPA Change %", "ROAS Change", "ROAS Change %"];
+
+// GAQL query for search terms from search campaigns. {DATE_CONDITION} is filled in for each period,
+// {CHANNEL} with SEARCH (or SHOPPING)
 const QUERY = `
 SELECT 
   search_term_view.search_term, 
@@ -17,11 +53,38 @@ SELECT
   metrics.conversions, 
   metrics.conversions_value
 FROM search_term_view
-WHERE segments.date DURING LAST_30_DAYS
-  AND campaign.advertising_channel_type = "SEARCH"
+WHERE segments.date {DATE_CONDITION}
+  AND campaign.advertising_channel_type = "{CHANNEL}"
 ORDER BY metrics.impressions DESC
 `;
 
+// Search term insights have to be asked for one Performance Max campaign at a time
+const PMAX_CAMPAIGNS_QUERY = `
+SELECT campaign.id, campaign.name
+FROM campaign
+WHERE campaign.advertising_channel_type = "PERFORMANCE_MAX"
+  AND campaign.status != "REMOVED"
+`;
+
+const PMAX_QUERY = `
+SELECT 
+  campaign_search_term_insight.category_label, 
+  metrics.impressions, 
+  metrics.clicks, 
+  metrics.conversions, 
+  metrics.conversions_value
+FROM campaign_search_term_insight
+WHERE segments.date {DATE_CONDITION}
+  AND campaign_search_term_insight.campaign_id = {CAMPAIGN_ID}
+`;
+
+// Extra columns when comparing periods
+const COMPARISON_HEADERS = [
+  "Prior Cost", "Prior Conversions", "Prior CPA", "Prior ROAS",
+  "Cost Change", "Cost Change %", "Conv Change", "Conv Change %",
+  "CPA Change", "CPA Change %", "ROAS Change", "ROAS Change %"
+];
+
 function main() {
   try {
     // Access the Google Sheet or create a new one
@@ -34,43 +97,191 @@ function main() {
       ss = SpreadsheetApp.openByUrl(SHEET_URL);
     }
 
-    // Get or create the tab & clear existing data
-    let sheet;
+    if (MCC_MODE) {
+      runForAccounts(ss);
+      return;
+    }
+
+    const report = runReport();
+    writeTab(ss, TAB, report.headers, report.data);
+
+    // N-gram tabs are built from the current period's search terms (PMax categories aren't search terms)
+    const searchTerms = report.currentData.filter(row => row[13] !== 'Performance Max');
+    NGRAM_SIZES.forEach(size => writeNgramTab(ss, size, calculateNgrams(searchTerms, size)));
+
+  } catch (e) {
+    Logger.log("Error in main function: " + e);
+  }
+}
+
+// Runs the search term report for the current account. data is what goes in the tab,
+// currentData the calculateMetrics rows for the current period.
+function runReport() {
+  let headers = ["Search Term", "Campaign", "Impressions", "Clicks", "Cost", "Conversions", "Conv Value", "CPC", "CTR", "Conv Rate", "CPA", "ROAS", "AOV"];
+
+  if (!COMPARE_TO) {
+    // Run the search term query for each channel, with the derived metrics
+    const data = fetchData(getDateCondition());
+    return withChannels(headers, data, data);
+  }
+
+  // Run the query for both periods and line the terms up side by side
+  const current = getCurrentPeriod();
+  const prior = getComparisonPeriod(current, COMPARE_TO);
+  Logger.log(`Comparing ${current.start} to ${current.end} with ${prior.start} to ${prior.end}`);
+
+  const currentData = fetchData(betweenDates(current));
+  const priorData = fetchData(betweenDates(prior));
+
+  headers = ["Search Term", "Campaign", "Status", ...headers.slice(2), ...COMPARISON_HEADERS];
+  return withChannels(headers, comparePeriods(currentData, priorData), currentData);
+}
+
+function getChannels() {
+  return ['Search', ...(INCLUDE_SHOPPING ? ['Shopping'] : []), ...(INCLUDE_PMAX ? ['Performance Max'] : [])];
+}
+
+// calculateMetrics rows for every channel, each ending with its channel
+function fetchData(dateCondition) {
+  const data = [];
+  getChannels().forEach(channel => {
+    const rows = channel === 'Performance Max'
+      ? fetchPmaxRows(dateCondition)
+      : calculateMetrics(AdsApp.report(buildQuery(dateCondition, channel.toUpperCase())).rows());
+    data.push(...rows.map(row => [...row, channel]));
+  });
+
+  // Keep one impressions order across channels
+  if (getChannels().length > 1) data.sort((a, b) => b[2] - a[2]);
+  return data;
+}
+
+// Insight categories in the calculateMetrics layout. Cost is 0 here so totals still add up -
+// withChannels marks it (and everything worked out from it) as NOT_AVAILABLE in the tab.
+function fetchPmaxRows(dateCondition) {
+  const data = [];
+  const campaigns = AdsApp.report(PMAX_CAMPAIGNS_QUERY).rows();
+
+  while (campaigns.hasNext()) {
+    const campaign = campaigns.next();
+    const query = PMAX_QUERY.replace('{DATE_CONDITION}', dateCondition).replace('{CAMPAIGN_ID}', campaign['campaign.id']);
+    const rows = AdsApp.report(query).rows();
+
+    while (rows.hasNext()) {
+      const row = rows.next();
+      const impressions = parseInt(row['metrics.impressions'], 10) || 0;
+      const clicks = parseInt(row['metrics.clicks'], 10) || 0;
+      const conversions = parseFloat(row['metrics.conversions']) || 0;
+      const conversionValue = parseFloat(row['metrics.conversions_value']) || 0;
+      const label = row['campaign_search_term_insight.category_label'] || '(uncategorized)';
+
+      data.push([label, campaign['campaign.name'], impressions, clicks, 0, conversions, conversionValue,
+        ...deriveMetrics(impressions, clicks, 0, conversions, conversionValue)]);
+    }
+  }
+
+  return data;
+}
+
+// With more than one channel the rows get a Channel column (last) and PMax's missing metrics are
+// marked. Search only keeps the original layout.
+function withChannels(headers, data, currentData) {
+  if (getChannels().length === 1) {
+    return { headers, data: data.map(row => row.slice(0, headers.length)), currentData };
+  }
+
+  const unavailable = PMAX_UNAVAILABLE.map(name => headers.indexOf(name)).filter(i => i >= 0);
+  const rows = data.map(row => {
+    const channel = row[row.length - 1];
+    const cells = row.slice(0, headers.length);
+    if (channel === 'Performance Max') unavailable.forEach(i => { cells[i] = NOT_AVAILABLE; });
+    return [...cells, channel];
+  });
+  return { headers: [...headers, "Channel"], data: rows, currentData };
+}
+
+// Get or create the tab, clear existing data and write the rows (only if we have data)
+function writeTab(ss, name, headers, data) {
+  const sheet = ss.getSheetByName(name) || ss.insertSheet(name);
+  sheet.clear();
+
+  if (data.length > 0) {
+    const allData = [headers, ...data];
+    sheet.getRange(1, 1, allData.length, allData[0].length).setValues(allData);
+    Logger.log(`Successfully wrote ${data.length} rows to ${name}.`);
+  } else {
+    Logger.log(`No data found for the specified criteria (${name}).`);
+  }
+}
+
+// ---- Manager accounts ----
+
+function getAccounts() {
+  let selector = AdsManagerApp.accounts();
+  if (ACCOUNT_LABEL) selector = selector.withCondition(`LabelNames CONTAINS '${ACCOUNT_LABEL}'`);
+  if (ACCOUNT_IDS.length) selector = selector.withIds(ACCOUNT_IDS);
+  return selector.get();
+}
+
+// Runs the report in each account. An account that fails is logged and marked in the summary,
+// the rest carry on.
+function runForAccounts(ss) {
+  const accounts = getAccounts();
+  const summary = [];
+  const combined = [];
+  let headers;
+
+  while (accounts.hasNext()) {
+    const account = accounts.next();
+    const name = account.getName() || account.getCustomerId();
+
     try {
-      sheet = ss.getSheetByName(TAB);
-      if (!sheet) {
-        sheet = ss.insertSheet(TAB);
+      AdsManagerApp.select(account);
+      const report = runReport();
+      headers = report.headers;
+
+      if (ACCOUNT_COLUMN) {
+        combined.push(...report.data.map(row => [name, ...row]));
       } else {
-        // Clear existing data
-        sheet.clear();
+        writeTab(ss, `${TAB} - ${name}`.slice(0, 100), report.headers, report.data);
       }
+      summary.push(summarizeAccount(name, account.getCustomerId(), report.currentData));
     } catch (e) {
-      Logger.log("Error with sheet: " + e);
-      return;
+      Logger.log(`Error in account ${name} (${account.getCustomerId()}): ${e}`);
+      summary.push([name, account.getCustomerId(), "ERROR", "", "", "", "", "", "", "", "", e.toString()]);
     }
+  }
 
-    // Set headers
-    const headers = ["Search Term", "Campaign", "Impressions", "Clicks", "Cost", "Conversions", "Conv Value", "CPC", "CTR", "Conv Rate", "CPA", "ROAS", "AOV"];
+  if (ACCOUNT_COLUMN && headers) writeTab(ss, TAB, ["Account", ...headers], combined);
+  writeSummaryTab(ss, summary);
+}
 
-    // Run the search term query
-    const report = AdsApp.report(QUERY);
-    const rows = report.rows();
+// Account, Customer ID, Status, Search Terms, Impressions, Clicks, Cost, Conversions, Conv Value, CPA, ROAS, Error
+function summarizeAccount(name, customerId, data) {
+  const t = { impressions: 0, clicks: 0, cost: 0, conversions: 0, conversionValue: 0 };
+  data.forEach(([, , impressions, clicks, cost, conversions, conversionValue]) => {
+    t.impressions += impressions;
+    t.clicks += clicks;
+    t.cost += cost;
+    t.conversions += conversions;
+    t.conversionValue += conversionValue;
+  });
 
-    // Process data and calculate derived metrics
-    const data = calculateMetrics(rows);
+  const [, , , cpa, roas] = deriveMetrics(t.impressions, t.clicks, t.cost, t.conversions, t.conversionValue);
+  const terms = new Set(data.map(row => row[0])).size;
+  return [name, customerId, "OK", terms, t.impressions, t.clicks, t.cost, t.conversions, t.conversionValue, cpa, roas, ""];
+}
 
-    // Write data to sheet (only if we have data)
-    if (data.length > 0) {
-      const allData = [headers, ...data];
-      sheet.getRange(1, 1, allData.length, allData[0].length).setValues(allData);
-      Logger.log("Successfully wrote " + data.length + " rows to the sheet.");
-    } else {
-      Logger.log("No data found for the specified criteria.");
-    }
+// One row per account plus a total across the accounts that worked
+function writeSummaryTab(ss, summary) {
+  const headers = ["Account", "Customer ID", "Status", "Search Terms", "Impressions", "Clicks", "Cost", "Conversions", "Conv Value", "CPA", "ROAS", "Error"];
+  const ok = summary.filter(row => row[2] === "OK");
+  const sum = i => ok.reduce((total, row) => total + row[i], 0);
+  const [, , , cpa, roas] = deriveMetrics(sum(4), sum(5), sum(6), sum(7), sum(8));
+  const total = ["Total", "", `${ok.length} of ${summary.length} OK`, sum(3), sum(4), sum(5), sum(6), sum(7), sum(8), cpa, roas, ""];
 
-  } catch (e) {
-    Logger.log("Error in main function: " + e);
-  }
+  writeTab(ss, SUMMARY_TAB, headers, [...summary, total]);
+  ss.getSheetByName(SUMMARY_TAB).getRange(1, 1, 1, headers.length).setFontWeight("bold");
 }
 
 function calculateMetrics(rows) {
@@ -89,19 +300,198 @@ function calculateMetrics(rows) {
 
     // Calculate metrics
     const cost = costMicros / 1000000;  // Convert micros to actual currency
-    const cpc = clicks > 0 ? cost / clicks : 0;
-    const ctr = impressions > 0 ? clicks / impressions : 0;
-    const convRate = clicks > 0 ? conversions / clicks : 0;
-    const cpa = conversions > 0 ? cost / conversions : 0;
-    const roas = cost > 0 ? conversionValue / cost : 0;
-    const aov = conversions > 0 ? conversionValue / conversions : 0;
+    const derived = deriveMetrics(impressions, clicks, cost, conversions, conversionValue);
 
     // Add all variables and calculated metrics to a new row
-    const newRow = [searchTerm, campaign, impressions, clicks, cost, conversions, conversionValue, cpc, ctr, convRate, cpa, roas, aov];
+    const newRow = [searchTerm, campaign, impressions, clicks, cost, conversions, conversionValue, ...derived];
 
     // Push new row to the data array
     data.push(newRow);
   }
 
   return data;
-}
\ No newline at end of file
+}
+
+// cpc, ctr, convRate, cpa, roas, aov - also used to recalculate metrics from summed totals
+function deriveMetrics(impressions, clicks, cost, conversions, conversionValue) {
+  const cpc = clicks > 0 ? cost / clicks : 0;
+  const ctr = impressions > 0 ? clicks / impressions : 0;
+  const convRate = clicks > 0 ? conversions / clicks : 0;
+  const cpa = conversions > 0 ? cost / conversions : 0;
+  const roas = cost > 0 ? conversionValue / cost : 0;
+  const aov = conversions > 0 ? conversionValue / conversions : 0;
+  return [cpc, ctr, convRate, cpa, roas, aov];
+}
+
+function buildQuery(dateCondition, channelType = 'SEARCH') {
+  return QUERY.replace('{DATE_CONDITION}', dateCondition).replace('{CHANNEL}', channelType);
+}
+
+// Presets go straight into the query, custom dates become a BETWEEN
+function getDateCondition() {
+  if (START_DATE && END_DATE) return betweenDates({ start: START_DATE, end: END_DATE });
+  return `DURING ${DATE_RANGE}`;
+}
+
+function betweenDates(period) {
+  return `BETWEEN "${period.start}" AND "${period.end}"`;
+}
+
+// ---- Period comparison ----
+
+// Current period as { start, end } dates ('yyyy-MM-dd'), worked out in the account's time zone
+function getCurrentPeriod() {
+  if (START_DATE && END_DATE) return { start: START_DATE, end: END_DATE };
+
+  const today = Utilities.formatDate(new Date(), AdsApp.currentAccount().getTimeZone(), 'yyyy-MM-dd');
+  const lastDays = DATE_RANGE.match(/^LAST_(\d+)_DAYS$/);
+
+  // LAST_N_DAYS ends yesterday, like the GAQL presets
+  if (lastDays) return { start: addDays(today, -Number(lastDays[1])), end: addDays(today, -1) };
+  if (DATE_RANGE === 'TODAY') return { start: today, end: today };
+  if (DATE_RANGE === 'YESTERDAY') return { start: addDays(today, -1), end: addDays(today, -1) };
+  if (DATE_RANGE === 'THIS_MONTH') return { start: today.slice(0, 8) + '01', end: today };
+  if (DATE_RANGE === 'LAST_MONTH') {
+    const end = addDays(today.slice(0, 8) + '01', -1);
+    return { start: end.slice(0, 8) + '01', end };
+  }
+
+  throw new Error(`Can't compare DATE_RANGE ${DATE_RANGE} - use one of the presets listed at the top or set START_DATE and END_DATE`);
+}
+
+function getComparisonPeriod(current, compareTo) {
+  if (compareTo === 'PREVIOUS_PERIOD') {
+    const days = daysBetween(current.start, current.end) + 1;
+    const end = addDays(current.start, -1);
+    return { start: addDays(end, -(days - 1)), end };
+  }
+  if (compareTo === 'PREVIOUS_YEAR') {
+    return { start: shiftYear(current.start, -1), end: shiftYear(current.end, -1) };
+  }
+  throw new Error(`Unknown COMPARE_TO: ${compareTo} - use PREVIOUS_PERIOD or PREVIOUS_YEAR`);
+}
+
+// Date helpers work on 'yyyy-MM-dd' strings in UTC so time zones and DST can't shift a day
+function addDays(date, days) {
+  const d = new Date(date + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetween(start, end) {
+  return Math.round((new Date(end + 'T00:00:00Z') - new Date(start + 'T00:00:00Z')) / 86400000);
+}
+
+// 29 Feb becomes 28 Feb in a non-leap year
+function shiftYear(date, years) {
+  const [year, month, day] = date.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year + years, month, 0)).getUTCDate();
+  return `${year + years}-${String(month).padStart(2, '0')}-${String(Math.min(day, lastDay)).padStart(2, '0')}`;
+}
+
+// Adds up calculateMetrics rows per search term + campaign, recalculating the derived metrics
+function totalsByTermAndCampaign(data) {
+  const totals = {};
+  data.forEach(([term, campaign, impressions, clicks, cost, conversions, conversionValue, , , , , , , channel]) => {
+    const key = term + '\u0000' + campaign;
+    const t = totals[key] = totals[key] || { term, campaign, channel, impressions: 0, clicks: 0, cost: 0, conversions: 0, conversionValue: 0 };
+    t.impressions += impressions;
+    t.clicks += clicks;
+    t.cost += cost;
+    t.conversions += conversions;
+    t.conversionValue += conversionValue;
+  });
+
+  Object.values(totals).forEach(t => {
+    [t.cpc, t.ctr, t.convRate, t.cpa, t.roas, t.aov] = deriveMetrics(t.impressions, t.clicks, t.cost, t.conversions, t.conversionValue);
+  });
+  return totals;
+}
+
+// One row per term + campaign seen in either period. Terms only in the current period are NEW,
+// terms only in the prior period are GONE. Sorted by current cost, then prior cost.
+function comparePeriods(currentData, priorData) {
+  const current = totalsByTermAndCampaign(currentData);
+  const prior = totalsByTermAndCampaign(priorData);
+  const empty = { impressions: 0, clicks: 0, cost: 0, conversions: 0, conversionValue: 0, cpc: 0, ctr: 0, convRate: 0, cpa: 0, roas: 0, aov: 0 };
+
+  const keys = [...new Set([...Object.keys(current), ...Object.keys(prior)])];
+  const rows = keys.map(key => {
+    const now = current[key] || { ...empty, term: prior[key].term, campaign: prior[key].campaign, channel: prior[key].channel };
+    const before = prior[key] || empty;
+    const status = !prior[key] ? 'NEW' : !current[key] ? 'GONE' : '';
+
+    return [
+      now.term, now.campaign, status,
+      now.impressions, now.clicks, now.cost, now.conversions, now.conversionValue,
+      now.cpc, now.ctr, now.convRate, now.cpa, now.roas, now.aov,
+      before.cost, before.conversions, before.cpa, before.roas,
+      ...change(now.cost, before.cost),
+      ...change(now.conversions, before.conversions),
+      ...change(now.cpa, before.cpa),
+      ...change(now.roas, before.roas),
+      now.channel
+    ];
+  });
+
+  return rows.sort((a, b) => b[5] - a[5] || b[14] - a[14]);
+}
+
+// [absolute change, percent change] - percent is blank when there's nothing to compare against
+function change(now, before) {
+  return [now - before, before ? (now - before) / before : ''];
+}
+
+// ---- N-grams ----
+
+// Adds up the metrics of every search term containing each n-gram (an n-gram is counted once
+// per term) and recalculates the derived metrics from the totals
+function calculateNgrams(data, size) {
+  const ngrams = {};
+
+  data.forEach(([term, campaign, impressions, clicks, cost, conversions, conversionValue]) => {
+    const words = String(term).toLowerCase().split(/\s+/).filter(Boolean);
+    const normalized = words.join(' ');
+    const seen = new Set();
+
+    for (let i = 0; i + size <= words.length; i++) {
+      const gram = words.slice(i, i + size);
+      if (gram.every(word => NGRAM_STOP_WORDS.includes(word))) continue;
+
+      const text = gram.join(' ');
+      const key = NGRAM_BY_CAMPAIGN ? text + '\u0000' + campaign : text;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      // a term has a row per campaign / ad group it ran in - count it once, add up every row's metrics
+      const n = ngrams[key] = ngrams[key] || { text, campaign, terms: new Set(), impressions: 0, clicks: 0, cost: 0, conversions: 0, conversionValue: 0 };
+      n.terms.add(normalized);
+      n.impressions += impressions;
+      n.clicks += clicks;
+      n.cost += cost;
+      n.conversions += conversions;
+      n.conversionValue += conversionValue;
+    }
+  });
+
+  return Object.values(ngrams)
+    .filter(n => n.terms.size >= NGRAM_MIN_FREQUENCY)
+    .sort((a, b) => b.cost - a.cost)
+    .map(n => [
+      n.text,
+      ...(NGRAM_BY_CAMPAIGN ? [n.campaign] : []),
+      n.terms.size, n.impressions, n.clicks, n.cost, n.conversions, n.conversionValue,
+      ...deriveMetrics(n.impressions, n.clicks, n.cost, n.conversions, n.conversionValue)
+    ]);
+}
+
+function writeNgramTab(ss, size, rows) {
+  const name = `${NGRAM_TAB_PREFIX} ${size}`;
+  const sheet = ss.getSheetByName(name) || ss.insertSheet(name);
+  sheet.clear();
+
+  const headers = [`${size}-gram`, ...(NGRAM_BY_CAMPAIGN ? ["Campaign"] : []), "Search Terms", "Impressions", "Clicks", "Cost", "Conversions", "Conv Value", "CPC", "CTR", "Conv Rate", "CPA", "ROAS", "AOV"];
+  const allData = [headers, ...rows];
+  sheet.getRange(1, 1, allData.length, headers.length).setValues(allData);
+  Logger.log(`Wrote ${rows.length} ${size}-grams to ${name}`);
+}
@@ -47,10 +47,18 @@ function generateTextAnthropicAPI(prompt, api_key, model) {
     let rCode = response.getResponseCode();
     let rText = response.getContentText();
 
+    // Only rate limits (429) and overloaded/server errors (5xx, 529) are worth retrying,
+    // waiting for Retry-After (any capitalisation) but never past the 10 second budget
     let start = Date.now();
-    while (rCode !== 200 && Date.now() - start < 10000) {
-        Utilities.sleep(1000);
+    while ((rCode === 429 || rCode >= 500) && Date.now() - start < 10000) {
+        let headers = response.getHeaders();
+        let header = Object.keys(headers).find(name => name.toLowerCase() === 'retry-after');
+        let retryAfter = parseInt(header ? headers[header] : '', 10);
+        let timeLeft = 10000 - (Date.now() - start);
+        Utilities.sleep(Math.min(retryAfter > 0 ? retryAfter * 1000 : 1000, timeLeft));
         response = UrlFetchApp.fetch(url, httpOptions);
+        rCode = response.getResponseCode();
+        rText = response.getContentText();
     }
 
     if (rCode !== 200) {
@@ -17,15 +17,31 @@ const CATEGORIES = {
     INTENT: ["INFORMATIONAL", "NAVIGATIONAL", "COMMERCIAL", "LOCAL", "QUESTION"]
 };
 
+// Cache of past classifications (same 'Cache' tab layout as the v2 script)
+// entries older than CACHE_MAX_AGE_DAYS are classified again - set to 0 to turn the cache off
+const CACHE_TAB = 'Cache';
+const CACHE_HEADERS = ['Key', 'Term', 'Model', 'Prompt Version', 'Category Set', 'Result', 'Input Tokens', 'Output Tokens', 'Cached At'];
+const CACHE_MAX_AGE_DAYS = 30;
+
+// Optional 'Prompts' tab (Version | Template | Notes, same layout as the v2 script) - pick a version
+// with the promptVersion named range. {terms} becomes the search term, {categories} both category lists,
+// {format} the JSON to return; {examples} is left empty (this script has no Examples tab)
+const PROMPTS_TAB = 'Prompts';
+const PROMPT_PLACEHOLDERS = ['terms', 'categories', 'examples', 'format'];
+
 // Global counters for token usage
 let totalInputTokens = 0;
 let totalOutputTokens = 0;
+let cacheHits = 0;
+let cacheSavedCost = 0;
 
 function main() {
     try {
         const apiKey = getApiKey();
         const ss = SpreadsheetApp.openByUrl(SHEET_URL);
         const terms = ss.getRangeByName('topTerms').getValues();
+        const template = getPromptTemplate(ss);
+        const cache = loadCache(ss, template);
 
         // Create or get Results sheet and clear it
         let resultsSheet = ss.getSheetByName('Results');
@@ -50,39 +66,44 @@ function main() {
             const term = row[0];
             if (!term) return; // Skip empty rows 
 
-            const prompt = `Classify the following Google Ads search term: "${term}"
-                Please provide two classifications:
-                1. Primary Category (choose one): ${CATEGORIES.PRIMARY.join(', ')}
-                2. Search Intent (choose one): 
-                - INFORMATIONAL (queries seeking general information)
-                - NAVIGATIONAL (queries looking for a specific website or page)
-                - COMMERCIAL (queries with buying intent)
-                - LOCAL (queries related to local businesses or services)
-                - QUESTION (queries phrased as questions)
-
-                Return ONLY the two classifications separated by a pipe character (|) like this example:
-                Swimwear|COMMERCIAL`;
-
-            const { classification, inputTokens, outputTokens, cost } = generateTextOpenAI(prompt, apiKey, OPENAI_MODEL);
-            const [category, intent] = classification.split('|');
+            // Use the cached classification if we've seen this term before
+            const key = getCacheKey(cache, term);
+            const cached = cache.entries[key];
+            let classification, tokensUsed, cost;
+            if (cached) {
+                const cachedCost = (cached.inputTokens * COST_PER_1M_INPUT_TOKENS + cached.outputTokens * COST_PER_1M_OUTPUT_TOKENS) / 1000000;
+                cacheHits++;
+                cacheSavedCost += cachedCost;
+                classification = cached.result;
+                tokensUsed = 'cached';
+                cost = 0;
+            } else {
+                const response = generateTextOpenAI(createPrompt(term, template), apiKey, OPENAI_MODEL);
+                addToCache(cache, key, term, response);
+                classification = response.classification;
+                tokensUsed = `${response.inputTokens}/${response.outputTokens}`;
+                cost = response.cost;
+            }
+            const { primary_category, search_intent } = parseClassification(classification);
 
             results.push([
                 term,
-                category.trim(),
-                intent.trim(),
-                `${inputTokens}/${outputTokens}`,
+                primary_category,
+                search_intent,
+                tokensUsed,
                 cost.toFixed(4)
             ]);
 
-            // Write results in batches
+            // Write results (and new cache entries) in batches
             if (results.length === 10 || index === terms.length - 1) {
                 const startRow = resultsSheet.getLastRow() + 1;
                 resultsSheet.getRange(startRow, 1, results.length, 5).setValues(results);
                 results = [];
+                saveCache(ss, cache);
             }
 
             // Avoid rate limits
-            Utilities.sleep(1000);
+            if (!cached) Utilities.sleep(1000);
         });
 
         // Add summary row
@@ -102,8 +123,11 @@ function main() {
         // Auto-resize columns
         resultsSheet.autoResizeColumns(1, 5);
 
+        saveCache(ss, cache);
+
         Logger.log(`Classification complete! Total cost: $${totalCost.toFixed(4)}`);
         Logger.log(`Total tokens used - Input: ${totalInputTokens}, Output: ${totalOutputTokens}`);
+        Logger.log(`Cache hits: ${cacheHits}, saved: $${cacheSavedCost.toFixed(4)}`);
 
     } catch (error) {
         Logger.log('An error occurred: ' + error);
@@ -132,7 +156,11 @@ function generateTextOpenAI(prompt, apiKey, model) {
     let payload = {
         "model": model,
         "messages": messages,
-        "temperature": 0.3 // Lower temperature for more consistent classifications
+        "temperature": 0.3, // Lower temperature for more consistent classifications
+        "response_format": { // Structured output - the reply always matches this schema
+            "type": "json_schema",
+            "json_schema": { "name": "classification", "strict": true, "schema": getResponseSchema() }
+        }
     };
     let httpOptions = {
         "method": "POST",
@@ -172,4 +200,135 @@ function generateTextOpenAI(prompt, apiKey, model) {
         outputTokens,
         cost
     };
-} 
\ No newline at end of file
+} 
+
+function createPrompt(term, template) {
+    if (template) {
+        const values = {
+            terms: `"${term}"`,
+            categories: `Primary Category: ${CATEGORIES.PRIMARY.join(', ')}\nSearch Intent: ${CATEGORIES.INTENT.join(', ')}`,
+            examples: '',
+            format: 'Return ONLY a JSON object with the two classifications like this example:\n{"primary_category": "Swimwear", "search_intent": "COMMERCIAL"}'
+        };
+        return template.replace(/\{(terms|categories|examples|format)\}/g, (_, name) => values[name]);
+    }
+    return `Classify the following Google Ads search term: "${term}"
+        Please provide two classifications:
+        1. Primary Category (choose one): ${CATEGORIES.PRIMARY.join(', ')}
+        2. Search Intent (choose one): 
+        - INFORMATIONAL (queries seeking general information)
+        - NAVIGATIONAL (queries looking for a specific website or page)
+        - COMMERCIAL (queries with buying intent)
+        - LOCAL (queries related to local businesses or services)
+        - QUESTION (queries phrased as questions)
+
+        Return ONLY a JSON object with the two classifications like this example:
+        {"primary_category": "Swimwear", "search_intent": "COMMERCIAL"}`;
+}
+
+// JSON schema for the response, built from the category lists
+function getResponseSchema() {
+    return {
+        type: 'object',
+        properties: {
+            primary_category: { type: 'string', enum: CATEGORIES.PRIMARY },
+            search_intent: { type: 'string', enum: CATEGORIES.INTENT }
+        },
+        required: ['primary_category', 'search_intent'],
+        additionalProperties: false
+    };
+}
+
+// Parse the model's JSON reply - include the raw text in the error so we can see what went wrong
+function parseClassification(text) {
+    let result;
+    try {
+        result = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Could not parse classification as JSON (${e.message}). Raw text: ${text}`);
+    }
+    if (!CATEGORIES.PRIMARY.includes(result.primary_category) || !CATEGORIES.INTENT.includes(result.search_intent)) {
+        throw new Error(`Unexpected classification. Raw text: ${text}`);
+    }
+    return result;
+}
+
+// Template for the promptVersion named range, or null for the prompt above
+function getPromptTemplate(ss) {
+    const version = (ss.getRangeByName('promptVersion')?.getValue() || '').toString().trim();
+    if (!version || version === 'built-in') return null;
+
+    const sheet = ss.getSheetByName(PROMPTS_TAB);
+    const row = sheet ? sheet.getDataRange().getValues().find(r => r[0]?.toString().trim() === version) : null;
+    if (!row || !row[1]) throw new Error(`Prompt version "${version}" not found in the ${PROMPTS_TAB} tab`);
+    const unknown = [...row[1].toString().matchAll(/\{(\w+)\}/g)].map(m => m[1]).filter(name => !PROMPT_PLACEHOLDERS.includes(name));
+    if (unknown.length) throw new Error(`Prompt version "${version}" has unknown placeholders: ${unknown.map(name => `{${name}}`).join(', ')}`);
+    Logger.log(`Prompt version: ${version}`);
+    return row[1].toString();
+}
+
+// Load cached classifications from the Cache tab, skipping expired entries
+function loadCache(ss, template) {
+    const cache = {
+        // hash the prompt & categories so changing either one invalidates old entries
+        promptVersion: shortHash(createPrompt('{term}', template)),
+        categorySet: shortHash(JSON.stringify(CATEGORIES)),
+        entries: {},
+        unsaved: []  // keys classified this run, not yet written to the tab
+    };
+
+    const sheet = ss.getSheetByName(CACHE_TAB);
+    if (CACHE_MAX_AGE_DAYS <= 0 || !sheet || sheet.getLastRow() < 2) return cache;
+
+    const cutoff = Date.now() - CACHE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, CACHE_HEADERS.length).getValues();
+    rows.forEach(row => {
+        const [key, term, model, promptVersion, categorySet, result, inputTokens, outputTokens, cachedAt] = row;
+        if (!key || new Date(cachedAt).getTime() < cutoff) return;
+        cache.entries[key] = { key, term, model, promptVersion, categorySet, result, inputTokens, outputTokens, cachedAt };
+    });
+
+    return cache;
+}
+
+function getCacheKey(cache, term) {
+    return [normalizeTerm(term), OPENAI_MODEL, cache.promptVersion, cache.categorySet].join('|');
+}
+
+function normalizeTerm(term) {
+    return term.toString().trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function addToCache(cache, key, term, response) {
+    cache.entries[key] = {
+        key,
+        term: normalizeTerm(term),
+        model: OPENAI_MODEL,
+        promptVersion: cache.promptVersion,
+        categorySet: cache.categorySet,
+        result: response.classification,
+        inputTokens: response.inputTokens,
+        outputTokens: response.outputTokens,
+        cachedAt: new Date().toISOString()
+    };
+    cache.unsaved.push(key);
+}
+
+// Append this run's new entries to the Cache tab. The tab is shared with the v2 script, so existing
+// rows are never cleared or rewritten here - expired ones are pruned when the v2 script saves its cache
+function saveCache(ss, cache) {
+    if (CACHE_MAX_AGE_DAYS <= 0 || !cache.unsaved.length) return;
+    const sheet = ss.getSheetByName(CACHE_TAB) || ss.insertSheet(CACHE_TAB);
+    if (sheet.getLastRow() < 1) {
+        sheet.getRange(1, 1, 1, CACHE_HEADERS.length).setValues([CACHE_HEADERS]).setFontWeight('bold');
+    }
+
+    const rows = cache.unsaved.map(key => cache.entries[key]).map(e =>
+        [e.key, e.term, e.model, e.promptVersion, e.categorySet, e.result, e.inputTokens, e.outputTokens, e.cachedAt]);
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, CACHE_HEADERS.length).setValues(rows);
+    cache.unsaved = [];
+}
+
+function shortHash(text) {
+    return Utilities.base64EncodeWebSafe(Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, text)).slice(0, 10);
+}
@@ -2,12 +2,66 @@
 // Week 2: Google Ads Script to classify search terms using AI models
 
 const SHEET_URL = '';
-const CATEGORIES = ['INFORMATIONAL', 'NAVIGATIONAL', 'COMMERCIAL', 'LOCAL', 'QUESTION'];
+const CATEGORIES = ['INFORMATIONAL', 'NAVIGATIONAL', 'COMMERCIAL', 'LOCAL', 'QUESTION']; // used when there's no Taxonomy tab
+const TAXONOMY_TAB = 'Taxonomy'; // rows of Dimension | Label | Definition | Examples (comma separated)
+const EXAMPLES_TAB = 'Examples'; // labelled terms: a Search Term column plus one column per dimension (eg Category)
+const PROMPTS_TAB = 'Prompts'; // rows of Version | Template | Notes - placeholders {terms}, {categories}, {examples} and {format}
+const BUILT_IN_PROMPT = 'built-in'; // the prompt in createClassificationPrompt - pick another with promptVersion
+const PROMPT_COMPARISON_TAB = 'Prompt Comparison';
+const RULES_TAB = 'Rules'; // rows of Match | Pattern | one label column per dimension, checked before any model
+const RULE_MATCHES = ['contains', 'starts-with', 'regex', 'fuzzy'];
+const FUZZY_MAX_EDITS = 2; // typos a fuzzy rule forgives - one per 4 characters of the pattern, up to this
+const FEW_SHOT_EXAMPLES = 5; // most similar labelled examples added to each prompt - override with fewShotExamples (0 turns them off)
 const MAX_RETRIES = 3; // in case API has problems, we'll try 3 times
+const NON_RETRYABLE_ERRORS = ['auth', 'invalid_request', 'content_filter']; // these fail the same way every time
+const MAX_RETRY_DELAY_SECONDS = 60; // cap on a provider's Retry-After
+const DEFAULT_BATCH_SIZE = 20; // terms per API request - override with the batchSize named range
+const MAX_TOKENS_PER_TERM = 60; // output budget per term in a batch (single terms get 500)
+const CACHE_TAB = 'Cache';
+const CACHE_HEADERS = ["Key", "Term", "Model", "Prompt Version", "Category Set", "Result", "Input Tokens", "Output Tokens", "Cached At"];
+const CACHE_MAX_AGE_DAYS = 30; // older cached classifications are re-run - override with cacheMaxAgeDays (0 turns the cache off)
+const STATE_TAB = 'State';
+const STATE_HEADERS = ["Run Key", "Status", "Terms Done", "Total Terms", "Next Index", "Token Counts", "Started", "Last Updated"];
+const MAX_RUNTIME_SECONDS = 25 * 60; // Ads Scripts stop at 30 minutes, so checkpoint and stop before then
+const CHECKPOINT_SIZE = 100; // terms classified between checkpoints
+const EVALUATION_TAB = 'Evaluation';
+const PROVIDERS_TAB = 'Providers'; // rows of Provider | Label | API | Base URL | Auth | Tier | Model | Input Cost | Output Cost | Concurrency | Structured Output
+const API_STYLES = ['openai', 'anthropic', 'gemini']; // request formats - "openai" works for any OpenAI-compatible server
+const AUTH_STYLES = ['bearer', 'api-key', 'x-api-key', 'query', 'none'];
+const OUTPUT_STYLES = ['json_schema', 'json_object', 'none']; // response_format for "openai" APIs - older Azure api-versions and many local servers reject json_schema
+const REVIEW_TAB = 'Review';
+const REVIEW_THRESHOLD = 0.7; // results below this confidence (and errors) go to the Review tab - override with reviewThreshold
+const HISTORY_TAB = 'History'; // append-only, one row per term per run
+const HISTORY_HEADERS = ["Run Started", "Date", "Search Term", "Model", "Prompt Version", "Category", "Confidence", "Source", "Cost"];
+const DRIFT_TAB = 'Drift';
+const DRIFT_ALERT_SHARE = 0.1; // log a warning when a category's share of spend moves by more than this between runs
+const ACCOUNT_SUMMARY_TAB = 'Classification Accounts';
+const CATEGORY_SUMMARY_TAB = 'Category Summary';
+const COST_LEDGER_TAB = 'Cost Ledger';
+const COST_LEDGER_HEADERS = ["Date", "Account", "Model", "Terms", "Input Tokens", "Output Tokens", "Cost ($)", "Cache Hits", "Cache Savings ($)"];
+const CHARS_PER_TOKEN = 4; // rough rule of thumb for English prompts, used for the pre-flight estimate
+const ESTIMATED_OUTPUT_TOKENS = 30; // per term per taxonomy dimension in a batch answer
+const DEFAULT_MAX_TERMS = 500; // terms pulled from Google Ads (highest cost first) - override with maxTerms
+const NEGATIVES_TAB = 'Proposed Negatives';
+const NEGATIVES_HEADERS = ["Approve", "Search Term", "Negative Keyword", "Match Type", "Level", "Target", "Category", "Confidence", "Term Cost", "Clicks", "Conversions", "Status", "Applied At"];
+const NEGATIVES_LOG_TAB = 'Negatives Log';
+const NEGATIVE_CATEGORIES = ['INFORMATIONAL', 'QUESTION']; // proposed as negatives - override with negativeCategories
+const NEGATIVE_MIN_COST = 10; // spend a term needs before it's proposed - override with negativeMinCost
+const KEYWORDS_TAB = 'Keyword Opportunities';
+const KEYWORDS_HEADERS = ["Approve", "Search Term", "Keyword", "Match Type", "Campaign", "Ad Group", "Category", "Confidence", "Existing Match Types", "Clicks", "Cost", "Conversions", "Conv. Value", "ROAS", "Status", "Added At"];
+const KEYWORDS_LOG_TAB = 'Keywords Log';
+const KEYWORD_CATEGORIES = ['COMMERCIAL', 'LOCAL']; // proposed as keywords - override with keywordCategories
+const KEYWORD_MIN_CONVERSIONS = 1; // conversions a term needs before it's proposed - override with keywordMinConversions
 
-// Model and cost configuration using updated model information
+// Model and cost configuration using updated model information - used when there's no Providers tab.
+// api picks the request format, auth how the key is sent (see getAuth), costs are USD per 1M tokens.
 const MODELS = {
     openai: {
+        label: 'OpenAI',
+        api: 'openai',
+        baseUrl: 'https://api.openai.com/v1',
+        auth: 'bearer',
+        concurrency: 5, // max parallel requests - override with the concurrency_openai named range
         standard: 'o4-mini-2025-04-16',
         cheap: 'gpt-4.1-nano-2025-04-14',
         costs: {
@@ -16,6 +70,11 @@ const MODELS = {
         }
     },
     anthropic: {
+        label: 'Anthropic',
+        api: 'anthropic',
+        baseUrl: 'https://api.anthropic.com/v1',
+        auth: 'x-api-key',
+        concurrency: 3,
         standard: 'claude-sonnet-4-20250514',
         cheap: 'claude-3-5-haiku-20241022',
         costs: {
@@ -24,6 +83,11 @@ const MODELS = {
         }
     },
     gemini: {
+        label: 'Gemini',
+        api: 'gemini',
+        baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        auth: 'query',
+        concurrency: 5,
         standard: 'gemini-2.5-pro-preview-05-06',
         cheap: 'gemini-2.5-flash-preview-05-20',
         costs: {
@@ -33,18 +97,99 @@ const MODELS = {
     }
 };
 
-// Token tracking 
-let tokenCounts = { input: 0, output: 0 };
+// Token tracking, per provider
+let tokenCounts = {};
+// Providers for this run - MODELS, or the Providers tab when there is one
+let registry = MODELS;
+// Prompt sizes sent this execution, per provider - { count, chars, largest }
+let promptSizes = {};
+// Terms labelled by the Rules tab this execution
+let ruleMatches = 0;
 
 function main() {
     try {
+        const startTime = Date.now();
         Logger.log("Starting classification");
         const spreadsheet = SpreadsheetApp.openByUrl(SHEET_URL);
+        registry = readProviders(spreadsheet);
         const settings = readAndValidateSettings(spreadsheet);
-        const apiKey = getAPIKey(spreadsheet, settings.model);
-        const results = classifyTerms(settings, apiKey);
-        outputResults(spreadsheet, results);
-        logCosts(settings);
+
+        if (settings.mode === "evaluate") {
+            runEvaluation(spreadsheet, settings);
+            return;
+        }
+        if (settings.mode === "negatives") {
+            proposeNegatives(spreadsheet, settings);
+            return;
+        }
+        if (settings.mode === "apply_negatives") {
+            applyNegatives(spreadsheet);
+            return;
+        }
+        if (settings.mode === "keywords") {
+            proposeKeywords(spreadsheet, settings);
+            return;
+        }
+        if (settings.mode === "apply_keywords") {
+            applyKeywords(spreadsheet);
+            return;
+        }
+        if (settings.mode === "compare_prompts") {
+            runPromptComparison(spreadsheet, settings);
+            return;
+        }
+
+        const apiKeys = getAPIKeys(spreadsheet, settings.providers);
+        settings.overrides = loadOverrides(spreadsheet, settings.taxonomy);
+        settings.rules = readRules(spreadsheet, settings.taxonomy);
+        settings.promptContext = { ...readPromptContext(spreadsheet, settings.taxonomy, settings.overrides), ...settings.prompt };
+        Logger.log(`Prompt version: ${settings.prompt.version}`);
+        const cache = loadCache(spreadsheet, settings.cacheMaxAgeDays, settings.taxonomy, settings.promptContext);
+
+        // Long runs are split over several executions - pick up where the last one stopped
+        const state = loadState(spreadsheet, settings, cache);
+        tokenCounts = state.tokenCounts;
+        const startCounts = JSON.parse(JSON.stringify(tokenCounts));
+        const startIndex = state.nextIndex;
+
+        const estimate = logCostEstimate(settings, cache, settings.topTerms.slice(state.nextIndex));
+        if (settings.maxSpend && getRunCost(settings) + estimate > settings.maxSpend) {
+            throw new Error(`Estimated cost $${(getRunCost(settings) + estimate).toFixed(4)} is over max_spend_usd ($${settings.maxSpend}) - not starting`);
+        }
+        const resultsSheet = prepareResultsSheet(spreadsheet, settings, state.nextIndex === 0);
+
+        while (state.nextIndex < settings.topTerms.length) {
+            if ((Date.now() - startTime) / 1000 > MAX_RUNTIME_SECONDS) {
+                Logger.log(`Stopping at term ${state.nextIndex} of ${settings.topTerms.length} - the next run will resume from here`);
+                break;
+            }
+
+            const chunk = settings.topTerms.slice(state.nextIndex, state.nextIndex + CHECKPOINT_SIZE);
+            if (settings.maxSpend && getRunCost(settings) + estimateCost(settings, cache, chunk) > settings.maxSpend) {
+                Logger.log(`Stopping at term ${state.nextIndex} of ${settings.topTerms.length} - the next ${chunk.length} terms would go over max_spend_usd ($${settings.maxSpend})`);
+                break;
+            }
+
+            const results = classifyTerms({ ...settings, topTerms: chunk }, apiKeys, cache);
+            appendResults(resultsSheet, results, settings);
+            queueForReview(spreadsheet, results, settings);
+            appendHistory(spreadsheet, results, settings, state, cache);
+            saveCache(spreadsheet, cache);
+
+            state.nextIndex += chunk.length;
+            state.tokenCounts = tokenCounts;
+            saveState(spreadsheet, state, settings);
+        }
+
+        resultsSheet.autoResizeColumns(1, getResultHeaders(settings).length);
+        // Roll-ups once every term has been classified
+        if (state.nextIndex >= settings.topTerms.length) {
+            writeDriftReport(spreadsheet, state);
+            if (settings.termMetrics) writeCategorySummary(spreadsheet, settings);
+            if (settings.accounts) writeAccountSummary(spreadsheet, settings, resultsSheet);
+        }
+        logCosts(settings, cache);
+        appendCostLedger(spreadsheet, settings, cache, startCounts, state.nextIndex - startIndex);
     } catch (error) {
         handleError(error);
     }
@@ -52,9 +197,29 @@ function main() {
 
 function readAndValidateSettings(spreadsheet) {
     const settings = {
+        // optional - "classify" (default), "evaluate" to score models against the goldSet named range,
+        // "negatives" to propose negative keywords from the Results tab, "apply_negatives" to add the approved ones,
+        // "keywords" / "apply_keywords" to do the same for converting terms worth adding as keywords
+        // or "compare_prompts" to run promptVersion and comparePromptVersion on the same terms
+        mode: (spreadsheet.getRangeByName("mode")?.getValue() || "classify").toString().trim().toLowerCase(),
         model: spreadsheet.getRangeByName("model").getValue().toLowerCase(),
         cheap: spreadsheet.getRangeByName("cheap").getValue().toString().toLowerCase() === "true",
-        topTerms: spreadsheet.getRangeByName("topTerms").getValues().flat().filter(term => term?.toString().trim())
+        // optional - when true every term goes to every provider in the registry and they vote
+        ensemble: (spreadsheet.getRangeByName("ensemble")?.getValue() || "").toString().toLowerCase() === "true",
+        batchSize: parseInt(spreadsheet.getRangeByName("batchSize")?.getValue(), 10) || DEFAULT_BATCH_SIZE,
+        cacheMaxAgeDays: parseNumberSetting(spreadsheet.getRangeByName("cacheMaxAgeDays")?.getValue(), CACHE_MAX_AGE_DAYS),
+        // optional - spend cap in USD for a whole run (blank or 0 means no cap)
+        maxSpend: parseNumberSetting(spreadsheet.getRangeByName("max_spend_usd")?.getValue(), 0),
+        // optional - 0 turns the review queue off
+        reviewThreshold: parseNumberSetting(spreadsheet.getRangeByName("reviewThreshold")?.getValue(), REVIEW_THRESHOLD),
+        // optional - a Version from the Prompts tab
+        promptVersion: (spreadsheet.getRangeByName("promptVersion")?.getValue() || BUILT_IN_PROMPT).toString().trim(),
+        // optional - "sheet" (default) reads the topTerms named range, "ads" queries search_term_view directly
+        source: (spreadsheet.getRangeByName("source")?.getValue() || "sheet").toString().trim().toLowerCase(),
+        // optional - with source "ads", true classifies the search terms of every client account under
+        // this manager account (narrowed down by the accountLabel and accountIds named ranges)
+        mcc: (spreadsheet.getRangeByName("mcc")?.getValue() || "").toString().toLowerCase() === "true",
+        topTerms: (spreadsheet.getRangeByName("topTerms")?.getValues() || []).flat().filter(term => term?.toString().trim())
     };
 
     // Update model name to match provider format
@@ -62,13 +227,290 @@ function readAndValidateSettings(spreadsheet) {
         settings.model = 'gemini';
     }
 
-    if (!MODELS[settings.model]) throw new Error("Invalid model");
-    if (!settings.topTerms.length) throw new Error("No search terms found");
+    const classifying = ["classify", "compare_prompts"].includes(settings.mode);
+    const modes = ["classify", "evaluate", "negatives", "apply_negatives", "keywords", "apply_keywords", "compare_prompts"];
+    if (!modes.includes(settings.mode)) throw new Error(`Invalid mode: ${settings.mode}`);
+    if (!["sheet", "ads"].includes(settings.source)) throw new Error(`Invalid source: ${settings.source}`);
+    if (settings.mcc && settings.source !== "ads") throw new Error('mcc needs source "ads"');
+    if (settings.mcc && /negatives|keywords/.test(settings.mode)) throw new Error(`${settings.mode} works on a single account - turn mcc off`);
+
+    // Terms straight from the account keep their metrics for the Results tab. With mcc each term
+    // is classified once, however many accounts it appears in.
+    if (settings.source === "ads" && classifying && settings.mcc) {
+        settings.accounts = fetchAccountSearchTerms(spreadsheet);
+        const terms = settings.accounts.flatMap(a => a.searchTerms.map(t => t.term));
+        settings.topTerms = [...new Map(terms.map(term => [normalizeTerm(term), term])).values()];
+        settings.termMetrics = {};
+        Logger.log(`Found ${settings.topTerms.length} search terms across ${settings.accounts.length} accounts`);
+    } else if (settings.source === "ads" && classifying) {
+        const searchTerms = fetchSearchTerms(readSearchTermFilters(spreadsheet));
+        settings.topTerms = searchTerms.map(t => t.term);
+        settings.termMetrics = Object.fromEntries(searchTerms.map(t => [normalizeTerm(t.term), t]));
+        Logger.log(`Found ${searchTerms.length} search terms in Google Ads`);
+    }
+    if (!registry[settings.model] && !settings.ensemble && classifying) {
+        throw new Error(`Invalid model: ${settings.model} - use one of ${Object.keys(registry).join(", ")}`);
+    }
+    if (!settings.topTerms.length && classifying) {
+        // with mcc the usual cause is that the accounts couldn't be read - say which and why
+        const failed = (settings.accounts || []).filter(a => a.error);
+        throw new Error(failed.length
+            ? `No search terms found - ${failed.length} of ${settings.accounts.length} accounts failed: ${failed.map(a => `${a.name} (${a.customerId}): ${a.error}`).join("; ")}`
+            : "No search terms found");
+    }
+
+    settings.taxonomy = readTaxonomy(spreadsheet);
+    const prompts = readPrompts(spreadsheet);
+    settings.prompt = getPrompt(prompts, settings.promptVersion);
+    if (settings.mode === "compare_prompts") {
+        settings.comparePrompt = getPrompt(prompts, (spreadsheet.getRangeByName("comparePromptVersion")?.getValue() || BUILT_IN_PROMPT).toString().trim());
+        if (settings.comparePrompt.version === settings.prompt.version) throw new Error("compare_prompts needs two different prompt versions");
+    }
+    settings.providers = settings.ensemble ? Object.keys(registry) : [settings.model];
+    settings.concurrency = Object.fromEntries(Object.keys(registry).map(provider => [
+        provider,
+        parseInt(spreadsheet.getRangeByName(`concurrency_${provider}`)?.getValue(), 10) || registry[provider].concurrency
+    ]));
 
     return settings;
 }
 
+// Filters for source "ads" - all optional named ranges
+function readSearchTermFilters(spreadsheet) {
+    const value = name => spreadsheet.getRangeByName(name)?.getValue();
+    return {
+        dateRange: (value("dateRange") || "LAST_30_DAYS").toString().trim(),
+        minImpressions: parseNumberSetting(value("minImpressions"), 0),
+        minClicks: parseNumberSetting(value("minClicks"), 0),
+        minCost: parseNumberSetting(value("minCost"), 0),
+        campaignContains: (value("campaignContains") || "").toString().trim(),
+        campaignExcludes: (value("campaignExcludes") || "").toString().trim(),
+        maxTerms: parseNumberSetting(value("maxTerms"), DEFAULT_MAX_TERMS)
+    };
+}
+
+// ---- Search terms from Google Ads ----
+
+// Search terms from each client account, for mcc runs. An account that fails keeps its
+// error for the Classification Accounts tab and the rest carry on.
+function fetchAccountSearchTerms(spreadsheet) {
+    const value = name => (spreadsheet.getRangeByName(name)?.getValue() || "").toString().trim();
+    const label = value("accountLabel");
+    const ids = value("accountIds").split(",").map(id => id.trim()).filter(Boolean);
+
+    let selector = AdsManagerApp.accounts();
+    if (label) selector = selector.withCondition(`LabelNames CONTAINS '${label}'`);
+    if (ids.length) selector = selector.withIds(ids);
+
+    const filters = readSearchTermFilters(spreadsheet);
+    const accounts = [];
+    const iterator = selector.get();
+    while (iterator.hasNext()) {
+        const account = iterator.next();
+        const entry = { name: account.getName() || account.getCustomerId(), customerId: account.getCustomerId(), searchTerms: [], metrics: {}, error: "" };
+        try {
+            AdsManagerApp.select(account);
+            entry.searchTerms = fetchSearchTerms(filters);
+            entry.metrics = Object.fromEntries(entry.searchTerms.map(t => [normalizeTerm(t.term), t]));
+        } catch (error) {
+            entry.error = error.toString();
+            Logger.log(`Skipping account ${entry.name} (${entry.customerId}): ${error}`);
+        }
+        accounts.push(entry);
+    }
+
+    return accounts;
+}
+
+// dateRange is a preset like LAST_30_DAYS or a custom "2025-01-01, 2025-01-31"
+function buildSearchTermQuery(filters, extraFields = []) {
+    const dates = filters.dateRange.split(/\s*,\s*/);
+    const dateCondition = dates.length === 2
+        ? `segments.date BETWEEN "${dates[0]}" AND "${dates[1]}"`
+        : `segments.date DURING ${filters.dateRange.toUpperCase()}`;
+    const escape = text => text.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+
+    let query = `
+SELECT 
+  search_term_view.search_term, 
+  campaign.name,${extraFields.map(field => `\n  ${field},`).join("")}
+  metrics.impressions, 
+  metrics.clicks, 
+  metrics.cost_micros, 
+  metrics.conversions, 
+  metrics.conversions_value
+FROM search_term_view
+WHERE ${dateCondition}
+  AND campaign.advertising_channel_type = "SEARCH"`;
+
+    if (filters.campaignContains) query += `\n  AND campaign.name LIKE "%${escape(filters.campaignContains)}%"`;
+    if (filters.campaignExcludes) query += `\n  AND campaign.name NOT LIKE "%${escape(filters.campaignExcludes)}%"`;
+
+    return query + `\nORDER BY metrics.cost_micros DESC`;
+}
+
+// Rows come back per term per campaign/ad group - add them up per term (and per campaign in
+// byCampaign), apply the thresholds to the totals and keep the most expensive maxTerms
+function fetchSearchTerms(filters) {
+    const rows = AdsApp.report(buildSearchTermQuery(filters)).rows();
+    const byTerm = {};
+
+    calculateMetrics(rows).forEach(([term, campaign, impressions, clicks, cost, conversions, conversionValue]) => {
+        const key = normalizeTerm(term);
+        const totals = byTerm[key] = byTerm[key] ||
+            { term, campaigns: [], byCampaign: {}, impressions: 0, clicks: 0, cost: 0, conversions: 0, conversionValue: 0 };
+        if (!totals.campaigns.includes(campaign)) totals.campaigns.push(campaign);
+        const inCampaign = totals.byCampaign[campaign] = totals.byCampaign[campaign] || { cost: 0, conversions: 0, conversionValue: 0 };
+        inCampaign.cost += cost;
+        inCampaign.conversions += conversions;
+        inCampaign.conversionValue += conversionValue;
+        totals.impressions += impressions;
+        totals.clicks += clicks;
+        totals.cost += cost;
+        totals.conversions += conversions;
+        totals.conversionValue += conversionValue;
+    });
+
+    return Object.values(byTerm)
+        .map(addDerivedMetrics)
+        .filter(t => t.impressions >= filters.minImpressions && t.clicks >= filters.minClicks && t.cost >= filters.minCost)
+        .sort((a, b) => b.cost - a.cost)
+        .slice(0, filters.maxTerms);
+}
+
+// Same as calculateMetrics in scripts/v1-step1/search-term.js
+function calculateMetrics(rows) {
+    const data = [];
+
+    while (rows.hasNext()) {
+        const row = rows.next();
+
+        const searchTerm = row['search_term_view.search_term'];
+        const campaign = row['campaign.name'];
+        const impressions = parseInt(row['metrics.impressions'], 10) || 0;
+        const clicks = parseInt(row['metrics.clicks'], 10) || 0;
+        const costMicros = parseInt(row['metrics.cost_micros'], 10) || 0;
+        const conversions = parseFloat(row['metrics.conversions']) || 0;
+        const conversionValue = parseFloat(row['metrics.conversions_value']) || 0;
+
+        // Calculate metrics
+        const cost = costMicros / 1000000;  // Convert micros to actual currency
+        const cpc = clicks > 0 ? cost / clicks : 0;
+        const ctr = impressions > 0 ? clicks / impressions : 0;
+        const convRate = clicks > 0 ? conversions / clicks : 0;
+        const cpa = conversions > 0 ? cost / conversions : 0;
+        const roas = cost > 0 ? conversionValue / cost : 0;
+        const aov = conversions > 0 ? conversionValue / conversions : 0;
+
+        data.push([searchTerm, campaign, impressions, clicks, cost, conversions, conversionValue, cpc, ctr, convRate, cpa, roas, aov]);
+    }
+
+    return data;
+}
+
+// Recalculates the derived metrics from summed totals, with the calculateMetrics formulas
+function addDerivedMetrics(totals) {
+    const { impressions, clicks, cost, conversions, conversionValue } = totals;
+    return {
+        ...totals,
+        cpc: clicks > 0 ? cost / clicks : 0,
+        ctr: impressions > 0 ? clicks / impressions : 0,
+        convRate: clicks > 0 ? conversions / clicks : 0,
+        cpa: conversions > 0 ? cost / conversions : 0,
+        roas: cost > 0 ? conversionValue / cost : 0,
+        aov: conversions > 0 ? conversionValue / conversions : 0
+    };
+}
+
+// A taxonomy is a list of dimensions, each with its own labels. The first dimension is the
+// primary one - it fills result.category and is what ensemble agreement is measured on.
+// Without a Taxonomy tab there's a single "Category" dimension built from CATEGORIES.
+function readTaxonomy(spreadsheet) {
+    const sheet = spreadsheet.getSheetByName(TAXONOMY_TAB);
+    const rows = sheet && sheet.getLastRow() > 1
+        ? sheet.getRange(2, 1, sheet.getLastRow() - 1, 4).getValues()
+        : CATEGORIES.map(label => ["Category", label, "", ""]);
+
+    const taxonomy = [];
+    rows.forEach(([dimension, label, definition, examples]) => {
+        const name = (dimension || "").toString().trim();
+        if (!name || !(label || "").toString().trim()) return;
+
+        let entry = taxonomy.find(d => d.name === name);
+        if (!entry) {
+            entry = { name, key: toDimensionKey(name), labels: [] };
+            taxonomy.push(entry);
+        }
+        entry.labels.push({
+            label: label.toString().trim(),
+            definition: (definition || "").toString().trim(),
+            examples: (examples || "").toString().split(",").map(e => e.trim()).filter(Boolean)
+        });
+    });
+
+    if (!taxonomy.length) throw new Error(`No categories found in the ${TAXONOMY_TAB} tab`);
+    return taxonomy;
+}
+
+// "Product Line" -> "product_line", the field name the model answers with
+function toDimensionKey(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+}
+
+// Blank or missing optional settings fall back to the default, but 0 is kept
+function parseNumberSetting(value, defaultValue) {
+    if (value === undefined || value === null || value === "") return defaultValue;
+    const number = Number(value);
+    return isNaN(number) ? defaultValue : number;
+}
+
+// A provider read from the Providers tab. Rows for the same provider are merged - a row with
+// a blank Tier serves both tiers, otherwise one row each for "standard" and "cheap".
+function readProviders(spreadsheet) {
+    const sheet = spreadsheet.getSheetByName(PROVIDERS_TAB);
+    if (!sheet || sheet.getLastRow() < 2) return MODELS;
+
+    const providers = {};
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, 11).getValues().forEach(row => {
+        const [name, label, api, baseUrl, auth, tier, model, inputCost, outputCost, concurrency, output] = row.map(v => (v ?? "").toString().trim());
+        if (!name) return;
+
+        const key = name.toLowerCase();
+        const provider = providers[key] = providers[key] || { label: label || name, costs: {} };
+        provider.api = (api || provider.api || "openai").toLowerCase();
+        provider.baseUrl = (baseUrl || provider.baseUrl || "").replace(/\/+$/, "");
+        provider.auth = (auth || provider.auth || "bearer").toLowerCase();
+        provider.concurrency = parseInt(concurrency, 10) || provider.concurrency || 1;
+        provider.output = (output || provider.output || "json_schema").toLowerCase();
+
+        if (!API_STYLES.includes(provider.api)) throw new Error(`Invalid API for ${name}: ${api} - use one of ${API_STYLES.join(", ")}`);
+        if (!AUTH_STYLES.includes(provider.auth)) throw new Error(`Invalid Auth for ${name}: ${auth} - use one of ${AUTH_STYLES.join(", ")}`);
+        if (!OUTPUT_STYLES.includes(provider.output)) {
+            throw new Error(`Invalid Structured Output for ${name}: ${output} - use one of ${OUTPUT_STYLES.join(", ")}`);
+        }
+        if (!provider.baseUrl || !model) throw new Error(`${PROVIDERS_TAB} tab: ${name} needs a Base URL and a Model`);
+
+        const costs = { input: Number(inputCost) || 0, output: Number(outputCost) || 0 };
+        (tier ? [tier.toLowerCase()] : ["standard", "cheap"]).forEach(t => {
+            if (!["standard", "cheap"].includes(t)) throw new Error(`Invalid Tier for ${name}: ${tier}`);
+            provider[t] = model;
+            provider.costs[t] = costs;
+        });
+    });
+
+    // A provider listed for one tier only uses the same model for the other
+    Object.values(providers).forEach(p => {
+        p.standard = p.standard || p.cheap;
+        p.cheap = p.cheap || p.standard;
+        p.costs = { standard: p.costs.standard || p.costs.cheap, cheap: p.costs.cheap || p.costs.standard };
+    });
+
+    Logger.log(`Using ${Object.keys(providers).length} providers from the ${PROVIDERS_TAB} tab`);
+    return providers;
+}
+
 function getAPIKey(spreadsheet, model) {
+    if (registry[model]?.auth === "none") return "";
     const mikeKey = spreadsheet.getRangeByName(`mike_key_${model}`)?.getValue();
     const regularKey = spreadsheet.getRangeByName(`key_${model}`)?.getValue();
     const key = mikeKey || regularKey;
@@ -77,56 +519,320 @@ function getAPIKey(spreadsheet, model) {
     return key;
 }
 
-function classifyTerms(settings, apiKey) {
-    const modelConfig = settings.model;
-    const modelVersion = settings.cheap ? MODELS[settings.model].cheap : MODELS[settings.model].standard;
-    const classifyFn = getClassifierFunction(settings.model);
+function getAPIKeys(spreadsheet, providers) {
+    return Object.fromEntries(providers.map(provider => [provider, getAPIKey(spreadsheet, provider)]));
+}
+
+function getModelVersion(settings, provider) {
+    return settings.cheap ? registry[provider].cheap : registry[provider].standard;
+}
+
+function classifyTerms(settings, apiKeys, cache) {
+    const resultsByProvider = {};
+    const queue = [];
+
+    // Terms a human has reviewed or a rule labels never go to a model
+    const fixed = settings.topTerms.map(term => settings.overrides?.[normalizeTerm(term)] || matchRule(settings.rules, term)?.result);
+    ruleMatches += fixed.filter(r => r?.source === "rule").length;
+
+    // Cached terms are filled in straight away, the rest get one job per batch per provider.
+    // A job knows which term indexes it fills in.
+    settings.providers.forEach(provider => {
+        resultsByProvider[provider] = new Array(settings.topTerms.length);
+        const modelVersion = getModelVersion(settings, provider);
+        const uncached = [];
+
+        settings.topTerms.forEach((term, i) => {
+            if (fixed[i]) return;
+            const hit = getCachedResult(cache, term, provider, modelVersion);
+            if (hit) {
+                resultsByProvider[provider][i] = { ...hit, term, provider };
+            } else {
+                uncached.push(i);
+            }
+        });
+
+        for (let i = 0; i < uncached.length; i += settings.batchSize) {
+            queue.push(createJob(settings, provider, apiKeys[provider], uncached.slice(i, i + settings.batchSize)));
+        }
+    });
+
+    runInWaves(queue, settings.concurrency, (job, outcome) => {
+        outcome.results.forEach((result, i) => {
+            if (!result) return;
+            resultsByProvider[job.provider][job.indexes[i]] = { ...result, term: job.terms[i], provider: job.provider };
+            if (!result.error) addToCache(cache, job.terms[i], job.modelVersion, result);
+        });
+        return outcome.retryIndexes.map(index => createJob(settings, job.provider, job.apiKey, [index]));
+    });
+
+    return settings.topTerms.map((term, i) => {
+        if (fixed[i]) {
+            return { ...fixed[i], term, votes: settings.providers.map(() => fixed[i]), agreement: 1 };
+        }
+        const votes = settings.providers.map(provider => resultsByProvider[provider][i]);
+        return settings.ensemble ? combineVotes(term, votes, settings.taxonomy) : votes[0];
+    });
+}
+
+function createJob(settings, provider, apiKey, indexes) {
+    return {
+        provider,
+        apiKey,
+        modelVersion: getModelVersion(settings, provider),
+        taxonomy: settings.taxonomy,
+        promptContext: settings.promptContext,
+        indexes,
+        terms: indexes.map(i => settings.topTerms[i]),
+        attempt: 0,
+        readyAt: 0
+    };
+}
+
+// Sends jobs with UrlFetchApp.fetchAll, at most `concurrency[provider]` requests per provider in each wave.
+// Failed requests wait out their own backoff and go back in the queue - the rest of the wave is unaffected.
+// handleJob receives each finished job and may return follow-up jobs.
+function runInWaves(queue, concurrency, handleJob) {
+    while (queue.length) {
+        const wave = takeWave(queue, concurrency);
+        if (!wave.length) {
+            Utilities.sleep(Math.max(0, Math.min(...queue.map(job => job.readyAt)) - Date.now()));
+            continue;
+        }
+
+        const calls = wave.map(job => buildJobRequest(job));
+        const startTime = Date.now();
+        const responses = UrlFetchApp.fetchAll(calls.map(call => call.request));
+        const elapsed = (Date.now() - startTime) / 1000;
 
-    return settings.topTerms.map(term => {
-        for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+        wave.forEach((job, i) => {
             try {
-                const startTime = Date.now();
-                const result = classifyFn(term, apiKey, modelVersion);
-                return { ...result, term, duration: (Date.now() - startTime) / 1000 };
+                const outcome = parseJobResponse(job, calls[i].endpoint, responses[i]);
+                const duration = elapsed / job.terms.length;
+                outcome.results = outcome.results.map(result => result && { ...result, duration });
+                queue.push(...handleJob(job, outcome));
             } catch (error) {
-                if (attempt === MAX_RETRIES - 1) {
-                    return { term, category: "ERROR", confidence: 0, error: error.toString() };
+                job.attempt++;
+                const delay = getRetryDelay(error, job.attempt);
+                if (delay === null || job.attempt >= MAX_RETRIES) {
+                    failJob(job, error, handleJob);
+                    // A bad key fails every request to the provider - don't send the rest
+                    if (error.category === "auth") {
+                        queue.filter(queued => queued.provider === job.provider).forEach(queued => {
+                            queue.splice(queue.indexOf(queued), 1);
+                            failJob(queued, error, handleJob);
+                        });
+                    }
+                } else {
+                    job.readyAt = Date.now() + delay;
+                    queue.push(job);
                 }
-                Utilities.sleep(Math.pow(2, attempt) * 1000);
             }
+        });
+    }
+}
+
+function failJob(job, error, handleJob) {
+    const message = error.category ? error.message : error.toString();
+    handleJob(job, {
+        results: job.terms.map(() => ({ category: "ERROR", confidence: 0, error: message })),
+        retryIndexes: []
+    });
+}
+
+// Milliseconds to wait before retrying, or null when retrying won't help. Rate limits wait
+// as long as the provider asks, anything else (overloaded, unparseable output) backs off.
+function getRetryDelay(error, attempt) {
+    if (NON_RETRYABLE_ERRORS.includes(error.category)) return null;
+    if (error.category === "rate_limit") {
+        const seconds = error.retryAfter || Math.pow(2, attempt);
+        return Math.min(seconds, MAX_RETRY_DELAY_SECONDS) * 1000;
+    }
+    return Math.pow(2, attempt - 1) * 1000;
+}
+
+// Removes and returns the jobs for the next wave
+function takeWave(queue, concurrency) {
+    const now = Date.now();
+    const taken = {};
+    const wave = [];
+
+    for (let i = 0; i < queue.length; i++) {
+        const job = queue[i];
+        const limit = concurrency[job.provider] || 1;
+        if (job.readyAt > now || (taken[job.provider] || 0) >= limit) continue;
+        taken[job.provider] = (taken[job.provider] || 0) + 1;
+        wave.push(job);
+        queue.splice(i--, 1);
+    }
+
+    return wave;
+}
+
+function buildJobRequest(job) {
+    const single = job.terms.length === 1;
+    const maxTokens = single ? 500 : Math.max(500, job.terms.length * MAX_TOKENS_PER_TERM * job.taxonomy.length);
+    const endpoint = getEndpoint(job.apiKey, job.provider, job.modelVersion, maxTokens);
+    const prompt = single
+        ? createClassificationPrompt(job.terms[0], job.taxonomy, job.promptContext)
+        : createBatchClassificationPrompt(job.terms, job.taxonomy, job.promptContext);
+    recordPromptSize(job.provider, prompt);
+    return { endpoint, request: buildRequest(endpoint, prompt, buildResponseSchema(job.taxonomy, !single)) };
+}
+
+// Throws when the whole request failed. A batch can partly succeed: terms whose
+// items fail validation come back in retryIndexes to be retried one at a time.
+function parseJobResponse(job, endpoint, response) {
+    const { text, usage } = readResponse(endpoint, response);
+
+    // Each term's share of the request's tokens, kept so cache hits can report the cost they saved
+    const tokens = {
+        input: (usage?.inputTokens || 0) / job.terms.length,
+        output: (usage?.outputTokens || 0) / job.terms.length
+    };
+
+    if (job.terms.length === 1) {
+        return { results: [{ ...parseSingleResponse(text, job.taxonomy), tokens }], retryIndexes: [] };
+    }
+
+    const items = parseBatchResponse(text, job.terms, job.taxonomy);
+    return {
+        results: items.map(item => item.result && { ...item.result, tokens }),
+        retryIndexes: job.indexes.filter((_, i) => items[i].error)
+    };
+}
+
+// Majority vote across providers, one vote per dimension - ties go to the label with the
+// highest total confidence. Confidence and agreement come from the primary dimension.
+function combineVotes(term, votes, taxonomy) {
+    const valid = votes.filter(v => v.category !== "ERROR");
+    const errors = votes.filter(v => v.error).map(v => `${v.provider}: ${v.error}`).join("; ");
+    const duration = Math.max(...votes.map(v => v.duration || 0));
+
+    if (!valid.length) {
+        return { term, votes, category: "ERROR", confidence: 0, agreement: 0, duration, error: errors };
+    }
+
+    const labels = {};
+    let primary;
+    taxonomy.forEach((dimension, d) => {
+        const tally = {};
+        valid.forEach(v => {
+            const label = v.labels[dimension.key];
+            tally[label] = tally[label] || { count: 0, confidence: 0 };
+            tally[label].count++;
+            tally[label].confidence += v.confidence;
+        });
+
+        const [label, winner] = Object.entries(tally)
+            .sort(([, a], [, b]) => b.count - a.count || b.confidence - a.confidence)[0];
+        labels[dimension.key] = label;
+        if (d === 0) primary = winner;
+    });
+
+    return {
+        term,
+        votes,
+        category: labels[taxonomy[0].key],
+        labels,
+        confidence: primary.confidence / primary.count,
+        agreement: primary.count / votes.length,
+        duration,
+        error: errors
+    };
+}
+
+// Most providers are asked for schema-constrained JSON, so the text should parse as-is. Ones
+// with Structured Output "none" may wrap it in a ```json fence, which is stripped first.
+// Anything that doesn't parse is reported with the raw text for debugging.
+function parseJsonResponse(text) {
+    if (!text || !text.trim()) throw new Error("Empty response from model");
+    try {
+        return JSON.parse(text.trim().replace(/^```(?:json)?\s*|\s*```$/g, ""));
+    } catch (error) {
+        throw new Error(`Could not parse response as JSON (${error.message}). Raw text: ${text}`);
+    }
+}
+
+function parseSingleResponse(text, taxonomy) {
+    const result = parseJsonResponse(text);
+    try {
+        return validateResponse(result, taxonomy);
+    } catch (error) {
+        throw new Error(`${error.message}. Raw text: ${text}`);
+    }
+}
+
+// Returns one { result } or { error } per term, in the same order as terms
+function parseBatchResponse(text, terms, taxonomy) {
+    const data = parseJsonResponse(text);
+    const items = Array.isArray(data) ? data : data?.results;
+    if (!Array.isArray(items)) throw new Error(`Batch response has no results array. Raw text: ${text}`);
+
+    const byTerm = {};
+    items.forEach(item => {
+        if (item && item.term !== undefined) byTerm[normalizeTerm(item.term)] = item;
+    });
+
+    return terms.map(term => {
+        const item = byTerm[normalizeTerm(term)];
+        if (!item) return { error: `Missing from batch response: ${term}` };
+        try {
+            return { result: validateResponse(item, taxonomy) };
+        } catch (error) {
+            return { error: `${error.toString()}. Raw item: ${JSON.stringify(item)}` };
         }
     });
 }
 
-function classifyTerm(term, apiKey, modelConfig) {
+function normalizeTerm(term) {
+    return term.toString().trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Request/response details for a provider, in the format its API style expects.
+// Each API style is asked for output matching a JSON schema in its own way.
+function getEndpoint(apiKey, provider, modelConfig, maxTokens) {
+    const { api, baseUrl, auth, output = "json_schema" } = registry[provider];
     const endpoints = {
+        // OpenAI and anything OpenAI-compatible (Azure OpenAI, OpenRouter, Mistral, local servers).
+        // Servers without json_schema support get json_object, or just the prompt's instructions.
         openai: {
-            url: 'https://api.openai.com/v1/chat/completions',
-            headers: { Authorization: `Bearer ${apiKey}` },
-            createPayload: prompt => ({
-                model: modelConfig,
-                messages: [{ role: "user", content: prompt }]
-            }),
+            path: '/chat/completions',
+            createPayload: (prompt, schema) => {
+                const formats = {
+                    json_schema: { type: "json_schema", json_schema: { name: "classification", strict: true, schema } },
+                    json_object: { type: "json_object" }
+                };
+                return {
+                    model: modelConfig,
+                    messages: [{ role: "user", content: prompt }],
+                    ...(formats[output] ? { response_format: formats[output] } : {})
+                };
+            },
             extractResponse: data => ({
                 text: data.choices[0].message.content,
                 usage: {
-                    inputTokens: data.usage.prompt_tokens,
-                    outputTokens: data.usage.completion_tokens
+                    inputTokens: data.usage?.prompt_tokens || 0,
+                    outputTokens: data.usage?.completion_tokens || 0
                 }
             })
         },
         anthropic: {
-            url: 'https://api.anthropic.com/v1/messages',
-            headers: {
-                'x-api-key': apiKey
-            },
-            createPayload: prompt => ({
+            path: '/messages',
+            // Anthropic has no JSON mode - forcing a tool call gets input that matches the schema
+            createPayload: (prompt, schema) => ({
                 messages: [{ role: 'user', content: prompt }],
                 model: modelConfig,
-                max_tokens: 500
+                max_tokens: maxTokens,
+                tools: [{
+                    name: 'record_classification',
+                    description: 'Record the classification of the search term(s)',
+                    input_schema: schema
+                }],
+                tool_choice: { type: 'tool', name: 'record_classification' }
             }),
             extractResponse: data => ({
-                text: data.content[0].text,
+                text: extractAnthropicText(data),
                 usage: {
                     inputTokens: data.usage.input_tokens,
                     outputTokens: data.usage.output_tokens
@@ -134,11 +840,14 @@ function classifyTerm(term, apiKey, modelConfig) {
             })
         },
         gemini: {
-            url: `https://generativelanguage.googleapis.com/v1beta/models/${modelConfig}:generateContent?key=${apiKey}`,
-            headers: {},
-            createPayload: prompt => ({
+            path: `/models/${modelConfig}:generateContent`,
+            createPayload: (prompt, schema) => ({
                 contents: [{ parts: [{ text: prompt }] }],
-                generationConfig: { maxOutputTokens: 500 }
+                generationConfig: {
+                    maxOutputTokens: maxTokens,
+                    responseMimeType: 'application/json',
+                    responseSchema: toGeminiSchema(schema)
+                }
             }),
             extractResponse: data => ({
                 text: data.candidates[0].content.parts[0].text,
@@ -150,105 +859,1586 @@ function classifyTerm(term, apiKey, modelConfig) {
         }
     };
 
-    // Extract provider from modelConfig
-    let modelType;
-    if (modelConfig.includes('gemini')) {
-        modelType = 'gemini';
-    } else if (modelConfig.includes('claude')) {
-        modelType = 'anthropic';
-    } else if (modelConfig.includes('gpt') || modelConfig.includes('o4-mini')) {
-        modelType = 'openai';
-    } else {
-        throw new Error(`Unknown model type: ${modelConfig}`);
-    }
+    const { headers, query } = getAuth(auth, apiKey);
+    const { path, ...endpoint } = endpoints[api];
+    return { ...endpoint, url: buildUrl(baseUrl, path, query), headers, provider };
+}
+
+// How the key is sent: bearer (OpenAI, OpenRouter, most servers), api-key (Azure OpenAI),
+// x-api-key (Anthropic), query (Gemini's ?key=) or none (local servers)
+function getAuth(auth, apiKey) {
+    if (auth === 'bearer') return { headers: { Authorization: `Bearer ${apiKey}` } };
+    if (auth === 'api-key') return { headers: { 'api-key': apiKey } };
+    if (auth === 'x-api-key') return { headers: { 'x-api-key': apiKey } };
+    if (auth === 'query') return { headers: {}, query: `key=${apiKey}` };
+    return { headers: {} };
+}
 
-    const config = endpoints[modelType];
-    const prompt = createClassificationPrompt(term);
+// The path goes before any query string already in the base URL, e.g. Azure's ?api-version=
+function buildUrl(baseUrl, path, query) {
+    const [base, baseQuery] = baseUrl.split('?');
+    const params = [baseQuery, query].filter(Boolean).join('&');
+    return base.replace(/\/+$/, '') + path + (params ? `?${params}` : '');
+}
 
-    const response = UrlFetchApp.fetch(config.url, {
+function buildRequest(endpoint, prompt, schema) {
+    return {
+        url: endpoint.url,
         method: 'POST',
-        headers: config.headers,
+        headers: endpoint.headers,
         contentType: 'application/json',
         muteHttpExceptions: true,
-        payload: JSON.stringify(config.createPayload(prompt))
+        payload: JSON.stringify(endpoint.createPayload(prompt, schema))
+    };
+}
+
+// The tool call's input is the structured answer - fall back to any text block
+function extractAnthropicText(data) {
+    const toolUse = data.content.find(block => block.type === 'tool_use');
+    if (toolUse) return JSON.stringify(toolUse.input);
+    return data.content.find(block => block.type === 'text')?.text || '';
+}
+
+// JSON schema for one classification, or for a batch ({ results: [...] } - OpenAI and
+// Anthropic both need an object at the top level). Enums come from the taxonomy.
+function buildResponseSchema(taxonomy, batch) {
+    const properties = {};
+    if (batch) properties.term = { type: 'string' };
+    taxonomy.forEach(dimension => {
+        properties[dimension.key] = { type: 'string', enum: dimension.labels.map(l => l.label) };
     });
+    properties.confidence = { type: 'number' };
 
-    if (response.getResponseCode() !== 200) {
-        throw new Error(`API error (${response.getResponseCode()}): ${response.getContentText()}`);
-    }
+    const item = { type: 'object', properties, required: Object.keys(properties), additionalProperties: false };
+    if (!batch) return item;
+
+    return {
+        type: 'object',
+        properties: { results: { type: 'array', items: item } },
+        required: ['results'],
+        additionalProperties: false
+    };
+}
+
+// Gemini takes an OpenAPI-style schema: upper-case types and no additionalProperties
+function toGeminiSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const converted = {};
+    Object.entries(schema).forEach(([key, value]) => {
+        if (key === 'additionalProperties') return;
+        if (key === 'type') converted.type = value.toUpperCase();
+        else if (key === 'properties') {
+            converted.properties = Object.fromEntries(Object.entries(value).map(([name, prop]) => [name, toGeminiSchema(prop)]));
+        } else {
+            converted[key] = toGeminiSchema(value);
+        }
+    });
+    return converted;
+}
+
+// Returns the response text and token usage, or throws on an API error
+function readResponse(endpoint, response) {
+    const apiError = classifyApiError(response);
+    if (apiError) throw apiError;
 
     const data = JSON.parse(response.getContentText());
-    const { text, usage } = config.extractResponse(data);
+    const { text, usage } = endpoint.extractResponse(data);
+
+    updateTokenCounts(usage, endpoint.provider);
+
+    return { text, usage };
+}
+
+// Sorts a failed response into auth, invalid_request, rate_limit, overloaded or content_filter, from
+// the status code and the error body - OpenAI, Anthropic and Gemini all answer with { error: {...} }.
+// Returns an Error with .category and .retryAfter (seconds), or null when the response is usable.
+function classifyApiError(response) {
+    const status = response.getResponseCode();
+    let data = {};
+    try {
+        data = JSON.parse(response.getContentText());
+    } catch (e) {
+        // not JSON - the status code decides
+    }
 
-    updateTokenCounts(usage);
+    const error = data.error || {};
+    const codes = [error.type, error.code, error.status, ...(error.details || []).map(d => d.reason)]
+        .filter(Boolean).map(code => code.toString().toLowerCase());
+    const has = (...names) => names.some(name => codes.includes(name));
+    // Refusals also come back as a 200 with no usable text: Gemini blocks the prompt or candidate,
+    // OpenAI sets message.refusal (finish_reason "content_filter"), Anthropic stops with "refusal"
+    const choice = data.choices?.[0];
+    const blockReason = data.promptFeedback?.blockReason
+        || (data.candidates?.[0]?.finishReason === "SAFETY" ? "SAFETY" : "")
+        || choice?.message?.refusal
+        || (choice?.finish_reason === "content_filter" ? "content_filter" : "")
+        || (data.stop_reason === "refusal" ? "refusal" : "");
 
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) throw new Error("No JSON found in response");
+    let category;
+    if (status === 200) {
+        if (!blockReason) return null;
+        category = "content_filter";
+    } else if (status === 401 || status === 403 || has("authentication_error", "permission_error", "invalid_api_key", "api_key_invalid", "unauthenticated", "permission_denied")) {
+        category = "auth";
+    } else if (status === 429 || has("rate_limit_error", "rate_limit_exceeded", "resource_exhausted")) {
+        category = "rate_limit";
+    } else if (status >= 500 || has("overloaded_error", "api_error", "server_error", "unavailable")) {
+        category = "overloaded";
+    } else if (has("content_filter", "content_policy_violation")) {
+        category = "content_filter";
+    } else {
+        category = "invalid_request";
+    }
 
-    return validateResponse(JSON.parse(jsonMatch[0]));
+    const message = error.message || (blockReason ? `Blocked: ${blockReason}` : response.getContentText().slice(0, 200));
+    const apiError = new Error(`${category} (${status}): ${message}`);
+    apiError.category = category;
+    apiError.retryAfter = getRetryAfter(response, error);
+    return apiError;
 }
 
-function getClassifierFunction(model) {
-    return (term, apiKey, modelVersion) => classifyTerm(term, apiKey, modelVersion);
+// Seconds from the Retry-After header, or Gemini's RetryInfo detail ("4s")
+function getRetryAfter(response, error) {
+    const headers = response.getHeaders ? response.getHeaders() : {};
+    const header = Object.keys(headers).find(name => name.toLowerCase() === "retry-after");
+    const retryInfo = (error.details || []).find(d => d.retryDelay);
+    const seconds = parseFloat(header ? headers[header] : retryInfo?.retryDelay);
+    return seconds > 0 ? seconds : 0;
 }
 
-function createClassificationPrompt(term) {
-    return `Classify the following search term into exactly one of these categories: 
-  ${CATEGORIES.join(", ")}
+// The built-in prompts - a context with a template (from the Prompts tab) replaces them
+function createClassificationPrompt(term, taxonomy, context) {
+    if (context?.template) return renderPromptTemplate(context.template, [term], taxonomy, context);
+    return `Classify the following search term. Pick exactly one label for each dimension below.
+
+  ${describeTaxonomy(taxonomy)}${describeContext(context, [term], taxonomy)}
   
   Search term: "${term}"
   
-  Respond with ONLY a JSON object in this EXACT format:
+  ${describeSingleFormat(taxonomy)}`;
+}
+
+function createBatchClassificationPrompt(terms, taxonomy, context) {
+    if (context?.template) return renderPromptTemplate(context.template, terms, taxonomy, context);
+    return `Classify each of the following search terms. Pick exactly one label for each dimension below.
+
+  ${describeTaxonomy(taxonomy)}${describeContext(context, terms, taxonomy)}
+  
+  Search terms:
+  ${terms.map(term => `- "${term}"`).join("\n  ")}
+  
+  ${describeBatchFormat(taxonomy)}`;
+}
+
+// The answer has to match the response schema, so {format} is added at the end of a template
+// that leaves it out
+function renderPromptTemplate(template, terms, taxonomy, context) {
+    const values = {
+        terms: terms.length === 1 ? `Search term: "${terms[0]}"` : `Search terms:\n  ${terms.map(term => `- "${term}"`).join("\n  ")}`,
+        categories: describeTaxonomy(taxonomy),
+        examples: describeContext(context, terms, taxonomy).trim(),
+        format: terms.length === 1 ? describeSingleFormat(taxonomy) : describeBatchFormat(taxonomy)
+    };
+    const text = template.includes("{format}") ? template : `${template}\n\n{format}`;
+    return text.replace(/\{(terms|categories|examples|format)\}/g, (_, name) => values[name]);
+}
+
+function describeSingleFormat(taxonomy) {
+    return `Respond with ONLY a JSON object in this EXACT format:
   {
-    "category": "ONE_OF_THE_CATEGORIES_ABOVE",
+    ${describeResponseFields(taxonomy).join(",\n    ")},
     "confidence": 0.XX (a number between 0 and 1)
   }`;
 }
 
-function validateResponse(result) {
-    if (!result.category || !CATEGORIES.includes(result.category)) {
-        throw new Error(`Invalid category: ${result.category}`);
+function describeBatchFormat(taxonomy) {
+    return `Respond with ONLY a JSON object with one result per search term, in this EXACT format:
+  {
+    "results": [
+      {
+        "term": "THE_SEARCH_TERM_EXACTLY_AS_GIVEN",
+        ${describeResponseFields(taxonomy).join(",\n        ")},
+        "confidence": 0.XX (a number between 0 and 1)
+      }
+    ]
+  }`;
+}
+
+// Prompt templates by version, the built-in one included (as null)
+function readPrompts(spreadsheet) {
+    const prompts = { [BUILT_IN_PROMPT]: null };
+    const sheet = spreadsheet.getSheetByName(PROMPTS_TAB);
+    if (!sheet || sheet.getLastRow() < 2) return prompts;
+
+    sheet.getDataRange().getValues().slice(1).forEach(([version, template]) => {
+        const name = version?.toString().trim();
+        if (!name || !template?.toString().trim()) return;
+        if (name in prompts) throw new Error(`Prompt version "${name}" appears twice in the ${PROMPTS_TAB} tab`);
+        prompts[name] = template.toString();
+    });
+    return prompts;
+}
+
+function getPrompt(prompts, version) {
+    if (!(version in prompts)) {
+        throw new Error(`Invalid prompt version: ${version} - use one of ${Object.keys(prompts).join(", ")}`);
+    }
+    return { version, template: prompts[version] };
+}
+
+// Each dimension with its labels, definitions and example terms
+function describeTaxonomy(taxonomy) {
+    return taxonomy.map(dimension => `${dimension.name}:\n  ` + dimension.labels.map(l => {
+        const definition = l.definition ? `: ${l.definition}` : "";
+        const examples = l.examples.length ? ` (e.g. ${l.examples.map(e => `"${e}"`).join(", ")})` : "";
+        return `- ${l.label}${definition}${examples}`;
+    }).join("\n  ")).join("\n\n  ");
+}
+
+// Account guidance and the examples most like the terms - nothing at all without them, so
+// zero-shot prompts stay exactly as they were
+function describeContext(context, terms, taxonomy) {
+    if (!context) return "";
+    const examples = selectExamples(context, terms);
+    let text = "";
+    if (context.guidance) text += `\n\n  Account guidance:\n  ${context.guidance}`;
+    if (examples.length) {
+        text += "\n\n  Labelled examples:\n  " + examples.map(e => {
+            const labels = taxonomy.map(d => (taxonomy.length > 1 ? `${d.name} ${e.labels[d.key]}` : e.labels[d.key]));
+            return `- "${e.term}": ${labels.join(", ")}`;
+        }).join("\n  ");
     }
-    if (typeof result.confidence !== 'number' || result.confidence < 0 || result.confidence > 1) {
-        result.confidence = 0.5;
+    return text;
+}
+
+// The context.count examples sharing the most words with any of the terms (Jaccard overlap)
+function selectExamples(context, terms) {
+    if (!context.count || !context.examples.length) return [];
+    const termWords = terms.map(term => new Set(normalizeTerm(term).split(" ")));
+
+    return context.examples
+        .map(example => {
+            const words = [...new Set(normalizeTerm(example.term).split(" "))];
+            const score = Math.max(...termWords.map(set => {
+                const shared = words.filter(word => set.has(word)).length;
+                return shared / (set.size + words.length - shared);
+            }));
+            return { example, score };
+        })
+        .filter(e => e.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, context.count)
+        .map(e => e.example);
+}
+
+// { guidance, examples, count } for the prompts. Guidance is free text from the accountGuidance
+// named range (eg the rules in prompts/google-ads-openai-classification.md); examples come from
+// the Examples tab plus every human-reviewed term, reviews winning when a term is in both.
+function readPromptContext(spreadsheet, taxonomy, overrides) {
+    const count = parseNumberSetting(spreadsheet.getRangeByName("fewShotExamples")?.getValue(), FEW_SHOT_EXAMPLES);
+    const guidance = (spreadsheet.getRangeByName("accountGuidance")?.getValue() || "").toString().trim();
+    if (count <= 0) return { guidance, examples: [], count: 0 };
+
+    const examples = new Map(readExamples(spreadsheet, taxonomy).map(e => [normalizeTerm(e.term), e]));
+    Object.entries(overrides || {}).forEach(([term, override]) => examples.set(term, { term, labels: override.labels }));
+    return { guidance, examples: [...examples.values()], count };
+}
+
+function readExamples(spreadsheet, taxonomy) {
+    const sheet = spreadsheet.getSheetByName(EXAMPLES_TAB);
+    if (!sheet || sheet.getLastRow() < 2) return [];
+
+    const [headers, ...rows] = sheet.getDataRange().getValues();
+    const termColumn = Math.max(headers.indexOf("Search Term"), 0);
+    const columns = taxonomy.map(d => headers.indexOf(d.name));
+
+    return rows.filter(row => row[termColumn]).flatMap(row => {
+        const answer = { confidence: 1 };
+        taxonomy.forEach((d, i) => { answer[d.key] = columns[i] >= 0 ? row[columns[i]] : ""; });
+        try {
+            return [{ term: row[termColumn].toString().trim(), labels: validateResponse(answer, taxonomy).labels }];
+        } catch (error) {
+            Logger.log(`Ignoring example "${row[termColumn]}": ${error.message}`);
+            return [];
+        }
+    });
+}
+
+function describeResponseFields(taxonomy) {
+    return taxonomy.map(dimension => `"${dimension.key}": "ONE ${dimension.name.toUpperCase()} LABEL FROM ABOVE"`);
+}
+
+// Checks every dimension against the taxonomy (case-insensitive) and returns
+// { category, labels, confidence } with the labels spelled as in the taxonomy
+function validateResponse(result, taxonomy) {
+    const labels = {};
+    taxonomy.forEach(dimension => {
+        const value = (result[dimension.key] || "").toString().trim().toUpperCase();
+        const match = dimension.labels.find(l => l.label.toUpperCase() === value);
+        if (!match) throw new Error(`Invalid ${dimension.name}: ${result[dimension.key]}`);
+        labels[dimension.key] = match.label;
+    });
+
+    // A missing or out-of-range confidence becomes 0.5 - under REVIEW_THRESHOLD, so it gets a human look
+    let confidence = result.confidence;
+    if (typeof confidence !== 'number' || confidence < 0 || confidence > 1) {
+        confidence = 0.5;
     }
-    return result;
+    return { category: labels[taxonomy[0].key], labels, confidence };
 }
 
-function updateTokenCounts(usage) {
+function recordPromptSize(provider, prompt) {
+    const sizes = promptSizes[provider] = promptSizes[provider] || { count: 0, chars: 0, largest: 0 };
+    sizes.count++;
+    sizes.chars += prompt.length;
+    sizes.largest = Math.max(sizes.largest, prompt.length);
+}
+
+function updateTokenCounts(usage, provider) {
     if (!usage) return;
-    tokenCounts.input += usage.inputTokens || 0;
-    tokenCounts.output += usage.outputTokens || 0;
+    tokenCounts[provider] = tokenCounts[provider] || { input: 0, output: 0 };
+    tokenCounts[provider].input += usage.inputTokens || 0;
+    tokenCounts[provider].output += usage.outputTokens || 0;
 }
 
-function outputResults(spreadsheet, results) {
-    const resultsSheet = spreadsheet.getSheetByName("Results") || spreadsheet.insertSheet("Results");
-    resultsSheet.clear();
+// [header, value] pairs for the Results tab. One column per taxonomy dimension; ensemble runs
+// also get the agreement score plus one column per provider's (primary dimension) label, and
+// terms pulled from Google Ads keep their metrics. mcc runs start with the account.
+function getResultColumns(settings) {
+    const columns = [
+        ...(settings.accounts ? [["Account", r => r.account]] : []),
+        ["Search Term", r => r.term],
+        ...settings.taxonomy.map(d => [d.name, r => (r.labels ? r.labels[d.key] : r.category)]),
+        ["Confidence", r => r.confidence || ""]
+    ];
 
-    resultsSheet.getRange(1, 1, 1, 5)
-        .setValues([["Search Term", "Category", "Confidence", "Duration (sec)", "Error"]])
-        .setFontWeight("bold");
+    if (settings.ensemble) {
+        columns.push(
+            ["Agreement", r => r.agreement || 0],
+            ...settings.providers.map((p, i) => [registry[p].label, r => r.votes[i].category])
+        );
+    }
 
-    if (results.length) {
-        resultsSheet.getRange(2, 1, results.length, 5).setValues(
-            results.map(r => [r.term, r.category, r.confidence || "", r.duration || "", r.error || ""])
+    if (settings.termMetrics) {
+        const metric = name => r => (r.metrics || settings.termMetrics[normalizeTerm(r.term)])?.[name] ?? "";
+        columns.push(
+            ["Cost", metric("cost")],
+            ["Clicks", metric("clicks")],
+            ["Conversions", metric("conversions")],
+            ["CPA", metric("cpa")],
+            ["ROAS", metric("roas")]
         );
     }
 
-    resultsSheet.autoResizeColumns(1, 5);
+    columns.push(
+        ["Source", r => r.source || "model"],
+        ["Duration (sec)", r => r.duration || ""],
+        ["Error", r => r.error || ""]
+    );
+    return columns;
+}
+
+function getResultHeaders(settings) {
+    return getResultColumns(settings).map(([header]) => header);
+}
+
+// A fresh run clears the Results tab, a resumed run keeps the rows written so far
+function prepareResultsSheet(spreadsheet, settings, fresh) {
+    const resultsSheet = spreadsheet.getSheetByName("Results") || spreadsheet.insertSheet("Results");
+    if (!fresh && resultsSheet.getLastRow() > 0) return resultsSheet;
+
+    const headers = getResultHeaders(settings);
+    resultsSheet.clear();
+    resultsSheet.getRange(1, 1, 1, headers.length)
+        .setValues([headers])
+        .setFontWeight("bold");
+
+    return resultsSheet;
+}
+
+function appendResults(resultsSheet, results, settings) {
+    const rows = settings.accounts ? expandByAccount(results, settings.accounts) : results;
+    if (!rows.length) return;
+    const columns = getResultColumns(settings);
+
+    resultsSheet.getRange(resultsSheet.getLastRow() + 1, 1, rows.length, columns.length).setValues(
+        rows.map(r => columns.map(([, value]) => value(r)))
+    );
+}
+
+// One row per account the term appeared in, with that account's metrics
+function expandByAccount(results, accounts) {
+    return results.flatMap(r => {
+        const key = normalizeTerm(r.term);
+        return accounts.filter(a => a.metrics[key]).map(a => ({ ...r, account: a.name, metrics: a.metrics[key] }));
+    });
+}
+
+// Roll-up of an mcc run: terms, spend and terms per (primary) category for each account, read back
+// from the Results tab so rows written by earlier executions count too
+function writeAccountSummary(spreadsheet, settings, resultsSheet) {
+    const dimension = settings.taxonomy[0];
+    const labels = [...dimension.labels.map(l => l.label), "ERROR"];
+    const [headers, ...rows] = resultsSheet.getDataRange().getValues();
+    const column = name => headers.indexOf(name);
+
+    const summary = settings.accounts.map(a => {
+        const accountRows = rows.filter(r => r[column("Account")] === a.name);
+        const sum = name => accountRows.reduce((total, r) => total + (Number(r[column(name)]) || 0), 0);
+        return [
+            a.name, a.customerId, a.error ? "ERROR" : "OK", accountRows.length, sum("Cost"), sum("Conversions"),
+            ...labels.map(label => accountRows.filter(r => r[column(dimension.name)] === label).length),
+            a.error
+        ];
+    });
+    const total = ["Total", "", `${summary.filter(r => r[2] === "OK").length} of ${summary.length} OK`,
+        ...summary[0].slice(3, -1).map((_, i) => summary.reduce((t, r) => t + r[i + 3], 0)), ""];
+
+    const summaryHeaders = ["Account", "Customer ID", "Status", "Search Terms", "Cost", "Conversions", ...labels, "Error"];
+    const sheet = spreadsheet.getSheetByName(ACCOUNT_SUMMARY_TAB) || spreadsheet.insertSheet(ACCOUNT_SUMMARY_TAB);
+    sheet.clear();
+    sheet.getRange(1, 1, summary.length + 2, summaryHeaders.length).setValues([summaryHeaders, ...summary, total]);
+    sheet.getRange(1, 1, 1, summaryHeaders.length).setFontWeight("bold");
 }
 
-function logCosts(settings) {
-    const modelConfig = settings.model;
-    const modelVersion = settings.cheap ? MODELS[settings.model].cheap : MODELS[settings.model].standard;
-    const costs = settings.cheap ? MODELS[settings.model].costs.cheap : MODELS[settings.model].costs.standard;
+// ---- Human review ----
+// Low-confidence and ERROR results are queued in the Review tab with a dropdown per dimension.
+// Once every dimension is filled in, that label is the answer for the term from then on.
+
+function getReviewHeaders(taxonomy) {
+    return ["Search Term", ...taxonomy.map(d => `Model ${d.name}`), "Confidence", "Error", "Queued At", ...taxonomy.map(d => `Reviewed ${d.name}`)];
+}
+
+// Normalized term -> { category, labels, confidence: 1, source: "human" }
+function loadOverrides(spreadsheet, taxonomy) {
+    const sheet = spreadsheet.getSheetByName(REVIEW_TAB);
+    const overrides = {};
+    if (!sheet || sheet.getLastRow() < 2) return overrides;
+
+    const headers = getReviewHeaders(taxonomy);
+    const reviewedColumns = taxonomy.map(d => headers.indexOf(`Reviewed ${d.name}`));
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues().forEach(row => {
+        if (!row[0] || reviewedColumns.some(c => !row[c])) return;
+
+        const answer = { confidence: 1 };
+        taxonomy.forEach((d, i) => { answer[d.key] = row[reviewedColumns[i]]; });
+        try {
+            overrides[normalizeTerm(row[0])] = { ...validateResponse(answer, taxonomy), source: "human" };
+        } catch (error) {
+            Logger.log(`Ignoring review of "${row[0]}": ${error.message}`);
+        }
+    });
+
+    if (Object.keys(overrides).length) Logger.log(`Using ${Object.keys(overrides).length} human-reviewed labels`);
+    return overrides;
+}
+
+// Adds results under the threshold that aren't in the queue yet
+function queueForReview(spreadsheet, results, settings) {
+    if (!settings.reviewThreshold) return;
+    const toReview = results.filter(r => r.source !== "human" && (r.category === "ERROR" || r.confidence < settings.reviewThreshold));
+    if (!toReview.length) return;
+
+    const headers = getReviewHeaders(settings.taxonomy);
+    const sheet = spreadsheet.getSheetByName(REVIEW_TAB) || spreadsheet.insertSheet(REVIEW_TAB);
+    if (sheet.getLastRow() === 0) sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight("bold");
+
+    const queued = new Set(sheet.getLastRow() > 1
+        ? sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues().map(([term]) => normalizeTerm(term))
+        : []);
+    const timestamp = new Date().toISOString();
+    const rows = toReview.filter(r => !queued.has(normalizeTerm(r.term))).map(r => [
+        r.term,
+        ...settings.taxonomy.map(d => (r.labels ? r.labels[d.key] : r.category)),
+        r.confidence || 0, r.error || "", timestamp,
+        ...settings.taxonomy.map(() => "")
+    ]);
+    if (!rows.length) return;
+
+    const firstRow = sheet.getLastRow() + 1;
+    sheet.getRange(firstRow, 1, rows.length, headers.length).setValues(rows);
+    settings.taxonomy.forEach((d, i) => {
+        const rule = SpreadsheetApp.newDataValidation()
+            .requireValueInList(d.labels.map(l => l.label), true)
+            .setAllowInvalid(false)
+            .build();
+        sheet.getRange(firstRow, headers.length - settings.taxonomy.length + i + 1, rows.length, 1).setDataValidation(rule);
+    });
+    Logger.log(`${rows.length} terms queued for review in the ${REVIEW_TAB} tab`);
+}
+
+// ---- History and drift ----
+// Every run adds its classifications to the History tab, so a run can be compared with the one
+// before it - a different model or prompt moving terms (and spend) between categories shows up
+// in the Drift tab.
+
+function appendHistory(spreadsheet, results, settings, state, cache) {
+    if (!results.length) return;
+    const sheet = spreadsheet.getSheetByName(HISTORY_TAB) || spreadsheet.insertSheet(HISTORY_TAB);
+    if (sheet.getLastRow() === 0) sheet.getRange(1, 1, 1, HISTORY_HEADERS.length).setValues([HISTORY_HEADERS]).setFontWeight("bold");
+
+    const model = settings.ensemble
+        ? `ensemble (${settings.providers.map(p => getModelVersion(settings, p)).join(", ")})`
+        : getModelVersion(settings, settings.providers[0]);
+    const date = new Date().toISOString();
+    const rows = results.map(r => [
+        state.started, date, r.term, model, `${settings.prompt.version} (${cache.promptVersion})`, r.category, r.confidence || 0, r.source || "model", getTermCost(settings, r.term)
+    ]);
+
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, HISTORY_HEADERS.length).setValues(rows);
+}
+
+// Total cost of the term (across accounts for mcc), blank without metrics
+function getTermCost(settings, term) {
+    const key = normalizeTerm(term);
+    if (settings.accounts) return settings.accounts.reduce((total, a) => total + (a.metrics[key]?.cost || 0), 0);
+    return settings.termMetrics?.[key]?.cost ?? "";
+}
+
+// Compares this run with the previous one in History: the category mix (terms and share of spend)
+// and every term whose category changed
+function writeDriftReport(spreadsheet, state) {
+    const sheet = spreadsheet.getSheetByName(HISTORY_TAB);
+    if (!sheet || sheet.getLastRow() < 2) return;
+
+    const runs = {};
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, HISTORY_HEADERS.length).getValues().forEach(row => {
+        const [started, , term, model, promptVersion, category, , , cost] = row;
+        const time = new Date(started).getTime();
+        const run = runs[time] = runs[time] || { started, model, promptVersion, terms: {} };
+        run.terms[normalizeTerm(term)] = { term, category, cost: Number(cost) || 0 };
+    });
+
+    const currentTime = new Date(state.started).getTime();
+    const previousTime = Object.keys(runs).map(Number).filter(t => t < currentTime).sort((a, b) => b - a)[0];
+    if (!runs[currentTime] || previousTime === undefined) {
+        Logger.log("No previous run in History to compare with");
+        return;
+    }
+    const current = runs[currentTime];
+    const previous = runs[previousTime];
+
+    const before = summarizeRun(previous);
+    const after = summarizeRun(current);
+    const categories = [...new Set([...Object.keys(after), ...Object.keys(before)])].sort();
+    const empty = { terms: 0, share: 0 };
+    const distribution = categories.map(category => {
+        const b = before[category] || empty;
+        const a = after[category] || empty;
+        if (Math.abs(a.share - b.share) > DRIFT_ALERT_SHARE) {
+            Logger.log(`Drift: ${category} share of spend went from ${(b.share * 100).toFixed(1)}% to ${(a.share * 100).toFixed(1)}%`);
+        }
+        return [category, b.terms, a.terms, a.terms - b.terms, b.share, a.share, a.share - b.share];
+    });
+
+    const changed = Object.entries(current.terms)
+        .filter(([key, t]) => previous.terms[key] && previous.terms[key].category !== t.category)
+        .map(([key, t]) => [t.term, previous.terms[key].category, t.category, t.cost])
+        .sort((a, b) => b[3] - a[3]);
+
+    const rows = [
+        ["Drift Report"],
+        ["Run", "Started", "Model", "Prompt Version"],
+        ["Previous", previous.started, previous.model, previous.promptVersion],
+        ["Current", current.started, current.model, current.promptVersion],
+        [],
+        ["Category Distribution"],
+        ["Category", "Previous Terms", "Current Terms", "Term Change", "Previous Spend Share", "Current Spend Share", "Spend Share Change"],
+        ...distribution,
+        [],
+        [`Changed Terms (${changed.length})`],
+        ["Search Term", "Previous Category", "Current Category", "Cost"],
+        ...changed
+    ];
+
+    const drift = spreadsheet.getSheetByName(DRIFT_TAB) || spreadsheet.insertSheet(DRIFT_TAB);
+    drift.clear();
+    const width = 7;
+    drift.getRange(1, 1, rows.length, width).setValues(rows.map(r => [...r, ...new Array(width - r.length).fill("")]));
+    [2, 7, distribution.length + 11].forEach(row => drift.getRange(row, 1, 1, width).setFontWeight("bold"));
+    Logger.log(`${changed.length} terms changed category since the previous run - see the ${DRIFT_TAB} tab`);
+}
+
+// Category -> { terms, share } where share is the category's share of the run's spend
+function summarizeRun(run) {
+    const summary = {};
+    const terms = Object.values(run.terms);
+    const totalCost = terms.reduce((total, t) => total + t.cost, 0);
+    terms.forEach(t => {
+        const entry = summary[t.category] = summary[t.category] || { terms: 0, cost: 0, share: 0 };
+        entry.terms++;
+        entry.cost += t.cost;
+        entry.share = totalCost > 0 ? entry.cost / totalCost : 0;
+    });
+    return summary;
+}
+
+// ---- Category summary ----
+// Spend and returns per category (primary dimension) and per campaign x category, for runs with
+// metrics. Categories are read back from the Results tab so terms from earlier executions count too.
+function writeCategorySummary(spreadsheet, settings) {
+    const classified = readClassifiedTerms(spreadsheet, settings.taxonomy[0].name);
+    const items = getCampaignMetrics(settings).map(item => ({
+        ...item,
+        category: classified[normalizeTerm(item.term)]?.category || "Unclassified"
+    }));
+    const totalCost = items.reduce((total, item) => total + item.cost, 0);
+
+    const byCategory = groupBy(items, item => item.category);
+    const categories = Object.keys(byCategory).sort((a, b) => sumCost(byCategory[b]) - sumCost(byCategory[a]));
+    const byCampaign = groupBy(items, item => item.campaign);
+    const campaigns = Object.keys(byCampaign).sort((a, b) => sumCost(byCampaign[b]) - sumCost(byCampaign[a]));
+
+    const rows = [
+        ["Spend by Category"],
+        ["Category", "Terms", "Cost", "Share of Spend", "Conversions", "CPA", "ROAS"],
+        ...categories.map(category => [category, ...summarizeItems(byCategory[category], totalCost)]),
+        ["Total", ...summarizeItems(items, totalCost)],
+        [],
+        ["Spend by Campaign and Category"],
+        ["Campaign", "Category", "Terms", "Cost", "Share of Campaign Spend", "Conversions", "CPA", "ROAS"]
+    ];
+    campaigns.forEach(campaign => {
+        const inCampaign = groupBy(byCampaign[campaign], item => item.category);
+        const campaignCost = sumCost(byCampaign[campaign]);
+        Object.keys(inCampaign)
+            .sort((a, b) => sumCost(inCampaign[b]) - sumCost(inCampaign[a]))
+            .forEach(category => rows.push([campaign, category, ...summarizeItems(inCampaign[category], campaignCost)]));
+    });
+
+    const sheet = spreadsheet.getSheetByName(CATEGORY_SUMMARY_TAB) || spreadsheet.insertSheet(CATEGORY_SUMMARY_TAB);
+    sheet.clear();
+    const width = 8;
+    const padded = rows.map(r => [...r, ...new Array(width - r.length).fill("")]);
+    sheet.getRange(1, 1, padded.length, width).setValues(padded);
+
+    const campaignHeaderRow = categories.length + 6;
+    [2, campaignHeaderRow].forEach(row => sheet.getRange(row, 1, 1, width).setFontWeight("bold"));
+    sheet.getRange(3, 4, categories.length + 1, 1).setNumberFormat("0.0%");
+    sheet.getRange(campaignHeaderRow + 1, 5, Math.max(rows.length - campaignHeaderRow, 1), 1).setNumberFormat("0.0%");
+
+    buildCategoryCharts(sheet, categories.length);
+    Logger.log(`Category summary written to the ${CATEGORY_SUMMARY_TAB} tab`);
+}
+
+// Charts are removed and added again each run, so they always match the table
+function buildCategoryCharts(sheet, categoryCount) {
+    sheet.getCharts().forEach(chart => sheet.removeChart(chart));
+    if (!categoryCount) return;
+
+    const labels = sheet.getRange(2, 1, categoryCount + 1, 1);
+    sheet.insertChart(sheet.newChart()
+        .setChartType(Charts.ChartType.PIE)
+        .addRange(labels)
+        .addRange(sheet.getRange(2, 3, categoryCount + 1, 1))
+        .setPosition(1, 10, 0, 0)
+        .setOption("title", "Spend by Category")
+        .build());
+    sheet.insertChart(sheet.newChart()
+        .setChartType(Charts.ChartType.COLUMN)
+        .addRange(labels)
+        .addRange(sheet.getRange(2, 7, categoryCount + 1, 1))
+        .setPosition(20, 10, 0, 0)
+        .setOption("title", "ROAS by Category")
+        .setOption("legend", { position: "none" })
+        .build());
+}
+
+// { term, campaign, cost, conversions, conversionValue } per term per campaign. mcc campaigns
+// are prefixed with their account.
+function getCampaignMetrics(settings) {
+    const sources = settings.accounts
+        ? settings.accounts.flatMap(a => a.searchTerms.map(t => ({ t, prefix: `${a.name} / ` })))
+        : Object.values(settings.termMetrics).map(t => ({ t, prefix: "" }));
+
+    return sources.flatMap(({ t, prefix }) => Object.entries(t.byCampaign || {}).map(([campaign, metrics]) =>
+        ({ term: t.term, campaign: prefix + campaign, ...metrics })));
+}
+
+// Terms, Cost, Share, Conversions, CPA, ROAS
+function summarizeItems(items, totalCost) {
+    const cost = sumCost(items);
+    const conversions = items.reduce((total, item) => total + item.conversions, 0);
+    const conversionValue = items.reduce((total, item) => total + item.conversionValue, 0);
+    const terms = new Set(items.map(item => normalizeTerm(item.term))).size;
+    return [
+        terms, cost, totalCost > 0 ? cost / totalCost : 0, conversions,
+        conversions > 0 ? cost / conversions : 0,
+        cost > 0 ? conversionValue / cost : 0
+    ];
+}
+
+function sumCost(items) {
+    return items.reduce((total, item) => total + item.cost, 0);
+}
+
+function groupBy(items, getKey) {
+    const groups = {};
+    items.forEach(item => {
+        const key = getKey(item);
+        (groups[key] = groups[key] || []).push(item);
+    });
+    return groups;
+}
+
+// Checkpoint state lives in the single data row of the State tab, which doubles as the status row.
+// The run key changes when the terms or models change, so a different run never resumes an old one.
+function loadState(spreadsheet, settings, cache) {
+    // a different prompt or taxonomy would mix two sets of answers in one Results tab, so start over
+    const runKey = shortHash(JSON.stringify([
+        settings.topTerms,
+        settings.providers.map(provider => getModelVersion(settings, provider)),
+        settings.ensemble,
+        settings.prompt.version,
+        cache.categorySet
+    ]));
+    const fresh = { runKey, nextIndex: 0, tokenCounts: {}, started: new Date().toISOString() };
+
+    const sheet = spreadsheet.getSheetByName(STATE_TAB);
+    if (!sheet || sheet.getLastRow() < 2) return fresh;
+
+    const [savedKey, status, , , nextIndex, savedCounts, started] = sheet.getRange(2, 1, 1, STATE_HEADERS.length).getValues()[0];
+    if (savedKey !== runKey || status === "Complete") return fresh;
+
+    Logger.log(`Resuming from term ${nextIndex} of ${settings.topTerms.length}`);
+    return { runKey, nextIndex: Number(nextIndex) || 0, tokenCounts: JSON.parse(savedCounts || "{}"), started };
+}
+
+function saveState(spreadsheet, state, settings) {
+    const sheet = spreadsheet.getSheetByName(STATE_TAB) || spreadsheet.insertSheet(STATE_TAB);
+    const total = settings.topTerms.length;
+    const status = state.nextIndex >= total ? "Complete" : "In progress";
+
+    sheet.getRange(1, 1, 2, STATE_HEADERS.length).setValues([
+        STATE_HEADERS,
+        [state.runKey, status, state.nextIndex, total, state.nextIndex, JSON.stringify(state.tokenCounts), state.started, new Date().toISOString()]
+    ]);
+    sheet.getRange(1, 1, 1, STATE_HEADERS.length).setFontWeight("bold");
+}
+
+// Cache of past classifications, keyed by normalized term + model + prompt version + category set.
+// The prompt version is a hash of the prompt templates and the category set a hash of the
+// taxonomy, so editing a prompt or the categories means old entries simply stop matching.
+// Account guidance counts as part of the prompt; the examples don't, or every review would
+// throw the whole cache away.
+function loadCache(spreadsheet, maxAgeDays, taxonomy, promptContext) {
+    const template = promptContext?.guidance || promptContext?.template
+        ? { guidance: promptContext.guidance, template: promptContext.template, examples: [], count: 0 }
+        : undefined;
+    const cache = {
+        enabled: maxAgeDays > 0,
+        promptVersion: shortHash(createClassificationPrompt('{term}', taxonomy, template) + createBatchClassificationPrompt(['{term}'], taxonomy, template)),
+        categorySet: shortHash(JSON.stringify(taxonomy)),
+        entries: {},
+        hits: {},
+        savedTokens: {}
+    };
+
+    const sheet = spreadsheet.getSheetByName(CACHE_TAB);
+    if (!cache.enabled || !sheet || sheet.getLastRow() < 2) return cache;
+
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, CACHE_HEADERS.length).getValues().forEach(row => {
+        const [key, term, model, promptVersion, categorySet, result, inputTokens, outputTokens, cachedAt] = row;
+        if (!key || new Date(cachedAt).getTime() < cutoff) return;
+        cache.entries[key] = { key, term, model, promptVersion, categorySet, result, inputTokens, outputTokens, cachedAt };
+    });
+
+    return cache;
+}
+
+function getCacheKey(cache, term, modelVersion) {
+    return [normalizeTerm(term), modelVersion, cache.promptVersion, cache.categorySet].join('|');
+}
+
+function getCachedResult(cache, term, provider, modelVersion) {
+    if (!cache.enabled) return null;
+    const entry = cache.entries[getCacheKey(cache, term, modelVersion)];
+    if (!entry) return null;
+
+    cache.hits[provider] = (cache.hits[provider] || 0) + 1;
+    cache.savedTokens[provider] = cache.savedTokens[provider] || { input: 0, output: 0 };
+    cache.savedTokens[provider].input += Number(entry.inputTokens) || 0;
+    cache.savedTokens[provider].output += Number(entry.outputTokens) || 0;
+
+    return { ...JSON.parse(entry.result), cached: true };
+}
+
+function addToCache(cache, term, modelVersion, result) {
+    if (!cache.enabled) return;
+    const key = getCacheKey(cache, term, modelVersion);
+    cache.entries[key] = {
+        key,
+        term: normalizeTerm(term),
+        model: modelVersion,
+        promptVersion: cache.promptVersion,
+        categorySet: cache.categorySet,
+        result: JSON.stringify({ category: result.category, labels: result.labels, confidence: result.confidence }),
+        inputTokens: Math.round(result.tokens?.input || 0),
+        outputTokens: Math.round(result.tokens?.output || 0),
+        cachedAt: new Date().toISOString()
+    };
+}
+
+// Rewrites the whole tab in one go, which also drops the expired entries
+function saveCache(spreadsheet, cache) {
+    if (!cache.enabled) return;
+    const sheet = spreadsheet.getSheetByName(CACHE_TAB) || spreadsheet.insertSheet(CACHE_TAB);
+    const rows = Object.values(cache.entries).map(e =>
+        [e.key, e.term, e.model, e.promptVersion, e.categorySet, e.result, e.inputTokens, e.outputTokens, e.cachedAt]);
+
+    sheet.clear();
+    sheet.getRange(1, 1, 1, CACHE_HEADERS.length).setValues([CACHE_HEADERS]).setFontWeight("bold");
+    if (rows.length) sheet.getRange(2, 1, rows.length, CACHE_HEADERS.length).setValues(rows);
+}
+
+function shortHash(text) {
+    return Utilities.base64EncodeWebSafe(Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, text)).slice(0, 10);
+}
+
+function getModelCosts(settings, provider) {
+    return settings.cheap ? registry[provider].costs.cheap : registry[provider].costs.standard;
+}
+
+function calculateCost(counts, costs) {
+    return (counts.input / 1000000) * costs.input + (counts.output / 1000000) * costs.output;
+}
+
+function logCosts(settings, cache) {
+    let total = 0;
+    let totalSaved = 0;
+
+    settings.providers.forEach(provider => {
+        const counts = tokenCounts[provider] || { input: 0, output: 0 };
+        const costs = getModelCosts(settings, provider);
+
+        const inputCost = (counts.input / 1000000) * costs.input;
+        const outputCost = (counts.output / 1000000) * costs.output;
+        total += inputCost + outputCost;
+
+        Logger.log(`${registry[provider].label} (${getModelVersion(settings, provider)})`);
+        Logger.log(`Tokens - Input: ${counts.input}, Output: ${counts.output}`);
+        Logger.log(`Costs - Input: $${inputCost.toFixed(4)}, Output: $${outputCost.toFixed(4)}`);
+
+        const sizes = promptSizes[provider];
+        if (sizes) {
+            const average = Math.round(sizes.chars / sizes.count);
+            Logger.log(`Prompts - Sent: ${sizes.count}, Average: ${average} chars (~${Math.ceil(average / CHARS_PER_TOKEN)} tokens), Largest: ${sizes.largest} chars`);
+        }
+
+        const saved = cache.savedTokens[provider] || { input: 0, output: 0 };
+        const savedCost = calculateCost(saved, costs);
+        totalSaved += savedCost;
+        Logger.log(`Cache - Hits: ${cache.hits[provider] || 0}, Saved: $${savedCost.toFixed(4)}`);
+    });
+
+    Logger.log(`Total: $${total.toFixed(4)}`);
+    Logger.log(`Saved by cache: $${totalSaved.toFixed(4)}`);
+    if (ruleMatches) {
+        const callsSaved = Math.ceil(ruleMatches / settings.batchSize) * settings.providers.length;
+        Logger.log(`Saved by rules: ${ruleMatches} terms, ~${callsSaved} API calls`);
+    }
+}
+
+// Actual cost so far - tokenCounts carries over when a run resumes
+function getRunCost(settings) {
+    return settings.providers.reduce((total, provider) =>
+        total + calculateCost(tokenCounts[provider] || { input: 0, output: 0 }, getModelCosts(settings, provider)), 0);
+}
+
+// Tokens the terms would use with one model: input from the batch prompts the run would send,
+// output from a typical answer size. Cached terms cost nothing.
+function estimateTokens(settings, cache, modelVersion, terms) {
+    const uncached = terms.filter(term => !settings.overrides?.[normalizeTerm(term)] && !matchRule(settings.rules, term) &&
+        (!cache.enabled || !cache.entries[getCacheKey(cache, term, modelVersion)]));
+    let input = 0;
+    for (let i = 0; i < uncached.length; i += settings.batchSize) {
+        const prompt = createBatchClassificationPrompt(uncached.slice(i, i + settings.batchSize), settings.taxonomy, settings.promptContext);
+        input += Math.ceil(prompt.length / CHARS_PER_TOKEN);
+    }
+    return { input, output: uncached.length * settings.taxonomy.length * ESTIMATED_OUTPUT_TOKENS };
+}
+
+// Estimated cost of the terms with the selected providers
+function estimateCost(settings, cache, terms) {
+    return settings.providers.reduce((total, provider) => {
+        const tokens = estimateTokens(settings, cache, getModelVersion(settings, provider), terms);
+        return total + calculateCost(tokens, getModelCosts(settings, provider));
+    }, 0);
+}
+
+// Logs the estimate for every model in the registry (selected ones marked with *) and returns the selected total
+function logCostEstimate(settings, cache, terms) {
+    Logger.log(`Estimated cost for ${terms.length} terms:`);
+    Object.keys(registry).forEach(provider => {
+        ["standard", "cheap"].forEach(tier => {
+            const tierSettings = { ...settings, cheap: tier === "cheap" };
+            const tokens = estimateTokens(settings, cache, getModelVersion(tierSettings, provider), terms);
+            const cost = calculateCost(tokens, getModelCosts(tierSettings, provider));
+            const selected = settings.providers.includes(provider) && settings.cheap === tierSettings.cheap;
+            Logger.log(`${selected ? "*" : " "} ${registry[provider].label} ${tier} (${getModelVersion(tierSettings, provider)}): ` +
+                `~${tokens.input} input, ~${tokens.output} output tokens, $${cost.toFixed(4)}`);
+        });
+    });
+
+    const estimate = estimateCost(settings, cache, terms);
+    Logger.log(`Estimated total: $${estimate.toFixed(4)}`);
+    return estimate;
+}
+
+// One row per model per execution, so a resumed run shows up as several rows
+function appendCostLedger(spreadsheet, settings, cache, startCounts, termCount) {
+    const sheet = spreadsheet.getSheetByName(COST_LEDGER_TAB) || spreadsheet.insertSheet(COST_LEDGER_TAB);
+    if (sheet.getLastRow() === 0) {
+        sheet.getRange(1, 1, 1, COST_LEDGER_HEADERS.length).setValues([COST_LEDGER_HEADERS]).setFontWeight("bold");
+    }
+
+    const date = new Date().toISOString();
+    const account = settings.accounts ? `${settings.accounts.length} accounts (mcc)` : AdsApp.currentAccount().getName();
+    const rows = settings.providers.map(provider => {
+        const counts = tokenCounts[provider] || { input: 0, output: 0 };
+        const start = startCounts[provider] || { input: 0, output: 0 };
+        const used = { input: counts.input - start.input, output: counts.output - start.output };
+        const costs = getModelCosts(settings, provider);
+        return [
+            date, account, getModelVersion(settings, provider), termCount, used.input, used.output,
+            calculateCost(used, costs), cache.hits[provider] || 0,
+            calculateCost(cache.savedTokens[provider] || { input: 0, output: 0 }, costs)
+        ];
+    });
+
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, COST_LEDGER_HEADERS.length).setValues(rows);
+}
+
+// ---- Evaluation ----
+// Runs each selected model over a hand-labelled gold set (goldSet named range: term | label for the
+// primary taxonomy dimension) and compares them on accuracy, speed and cost. The cache is skipped
+// so every model is really called and its cost is measured - max_spend_usd covers the whole
+// evaluation and each model's spend goes in the Cost Ledger. Models get the same prompt as a
+// classify run (guidance and examples included), minus any examples of gold-set terms.
+function runEvaluation(spreadsheet, settings) {
+    const gold = readGoldSet(spreadsheet, settings.taxonomy[0]);
+    const models = readEvaluationModels(spreadsheet);
+    const providers = [...new Set(models.map(m => m.provider))];
+    const apiKeys = getAPIKeys(spreadsheet, providers);
+    const cache = loadCache(spreadsheet, 0, settings.taxonomy);
+    const context = readPromptContext(spreadsheet, settings.taxonomy, loadOverrides(spreadsheet, settings.taxonomy));
+    const goldTerms = new Set(gold.map(g => normalizeTerm(g.term)));
+    const promptContext = { ...context, examples: context.examples.filter(e => !goldTerms.has(normalizeTerm(e.term))), ...settings.prompt };
+
+    const runs = models.map(({ provider, tier }) => {
+        const modelSettings = {
+            ...settings,
+            providers: [provider],
+            cheap: tier === "cheap",
+            ensemble: false,
+            topTerms: gold.map(g => g.term),
+            promptContext
+        };
+        const label = `${registry[provider].label} ${tier} (${getModelVersion(modelSettings, provider)})`;
+        return { provider, tier, label, settings: modelSettings, estimate: estimateCost(modelSettings, cache, modelSettings.topTerms) };
+    });
+    checkSpendEstimates(settings, runs);
+
+    const evaluations = [];
+    let spent = 0;
+    for (const run of runs) {
+        if (settings.maxSpend && spent + run.estimate > settings.maxSpend) {
+            Logger.log(`Stopping before ${run.label} - it would go over max_spend_usd ($${settings.maxSpend})`);
+            break;
+        }
+
+        tokenCounts = {};
+        const results = classifyTerms(run.settings, apiKeys, cache);
+        const cost = getRunCost(run.settings);
+        spent += cost;
+        appendCostLedger(spreadsheet, run.settings, cache, {}, gold.length);
+        Logger.log(`Evaluated ${run.label}: $${cost.toFixed(4)}`);
+
+        evaluations.push({
+            provider: run.provider,
+            tier: run.tier,
+            modelVersion: getModelVersion(run.settings, run.provider),
+            cost,
+            ...scorePredictions(gold.map(g => g.label), results, settings.taxonomy[0].labels.map(l => l.label))
+        });
+    }
+
+    outputEvaluation(spreadsheet, evaluations);
+}
+
+// For modes that make several runs (evaluation models, prompt variants): logs each run's estimate
+// and refuses to start when together they would go over max_spend_usd
+function checkSpendEstimates(settings, runs) {
+    runs.forEach(run => Logger.log(`Estimated cost for ${run.label}: $${run.estimate.toFixed(4)}`));
+    const total = runs.reduce((sum, run) => sum + run.estimate, 0);
+    Logger.log(`Estimated total: $${total.toFixed(4)}`);
+    if (settings.maxSpend && total > settings.maxSpend) {
+        throw new Error(`Estimated cost $${total.toFixed(4)} is over max_spend_usd ($${settings.maxSpend}) - not starting`);
+    }
+}
+
+function readGoldSet(spreadsheet, dimension) {
+    const range = spreadsheet.getRangeByName("goldSet");
+    if (!range) throw new Error("Evaluation needs a goldSet named range (search term | human label)");
+
+    const gold = range.getValues()
+        .filter(([term, label]) => term?.toString().trim() && label?.toString().trim())
+        .map(([term, label]) => {
+            const match = dimension.labels.find(l => l.label.toUpperCase() === label.toString().trim().toUpperCase());
+            if (!match) throw new Error(`Gold set label "${label}" for "${term}" is not a valid ${dimension.name}`);
+            return { term: term.toString().trim(), label: match.label };
+        });
+
+    if (!gold.length) throw new Error("No labelled terms found in goldSet");
+    return gold;
+}
+
+// evaluateModels named range: cells like "openai cheap" or "gemini standard" - defaults to both tiers of every provider
+function readEvaluationModels(spreadsheet) {
+    const cells = (spreadsheet.getRangeByName("evaluateModels")?.getValues() || []).flat()
+        .map(cell => cell.toString().trim().toLowerCase())
+        .filter(Boolean);
+
+    if (!cells.length) {
+        return Object.keys(registry).flatMap(provider => [{ provider, tier: "standard" }, { provider, tier: "cheap" }]);
+    }
+
+    return cells.map(cell => {
+        const [name, tier = "standard"] = cell.split(/[\s:]+/);
+        const provider = name === "google" ? "gemini" : name;
+        if (!registry[provider] || !["standard", "cheap"].includes(tier)) throw new Error(`Invalid evaluation model: ${cell}`);
+        return { provider, tier };
+    });
+}
+
+// Accuracy, per-label precision/recall/F1 and a confusion matrix (rows = human label, columns = model label)
+function scorePredictions(actual, results, labels) {
+    const columns = [...labels, "ERROR"];
+    const confusion = Object.fromEntries(labels.map(label => [label, Object.fromEntries(columns.map(c => [c, 0]))]));
+
+    results.forEach((result, i) => {
+        const predicted = columns.includes(result.category) ? result.category : "ERROR";
+        confusion[actual[i]][predicted]++;
+    });
+
+    const correct = labels.reduce((sum, label) => sum + confusion[label][label], 0);
+    const perLabel = labels.map(label => {
+        const truePositives = confusion[label][label];
+        const predictedCount = labels.reduce((sum, actualLabel) => sum + confusion[actualLabel][label], 0);
+        const support = columns.reduce((sum, column) => sum + confusion[label][column], 0);
+        const precision = predictedCount ? truePositives / predictedCount : 0;
+        const recall = support ? truePositives / support : 0;
+        const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+        return { label, precision, recall, f1, support };
+    });
+
+    // fetchAll doesn't time requests one by one - duration is each term's share of its wave's time
+    const timed = results.filter(r => r.category !== "ERROR" && r.duration);
+    return {
+        terms: actual.length,
+        accuracy: correct / actual.length,
+        errors: results.filter(r => r.category === "ERROR").length,
+        meanTimePerTerm: timed.length ? timed.reduce((sum, r) => sum + r.duration, 0) / timed.length : 0,
+        perLabel,
+        confusion,
+        columns
+    };
+}
+
+// Writes the comparison table, then a precision/recall block and confusion matrix per model, in one setValues
+function outputEvaluation(spreadsheet, evaluations) {
+    const sheet = spreadsheet.getSheetByName(EVALUATION_TAB) || spreadsheet.insertSheet(EVALUATION_TAB);
+    sheet.clear();
+
+    const rows = [
+        ["Model Comparison"],
+        ["Provider", "Tier", "Model", "Terms", "Accuracy", "Errors", "Mean Time per Term (sec)", "Cost ($)", "Accuracy per $"],
+        ...evaluations.map(e => [
+            registry[e.provider].label, e.tier, e.modelVersion, e.terms, e.accuracy, e.errors,
+            e.meanTimePerTerm, e.cost, e.cost > 0 ? e.accuracy / e.cost : ""
+        ])
+    ];
+
+    evaluations.forEach(e => {
+        rows.push(
+            [],
+            [`${registry[e.provider].label} ${e.tier} (${e.modelVersion})`],
+            ["Category", "Precision", "Recall", "F1", "Support"],
+            ...e.perLabel.map(l => [l.label, l.precision, l.recall, l.f1, l.support]),
+            [],
+            ["Human \\ Model", ...e.columns],
+            ...Object.entries(e.confusion).map(([label, counts]) => [label, ...e.columns.map(c => counts[c])])
+        );
+    });
+
+    const width = Math.max(...rows.map(r => r.length));
+    const padded = rows.map(r => [...r, ...new Array(width - r.length).fill("")]);
+    sheet.getRange(1, 1, padded.length, width).setValues(padded);
+    sheet.getRange(2, 1, 1, width).setFontWeight("bold");
+    sheet.autoResizeColumns(1, width);
+
+    Logger.log(`Evaluation written to the ${EVALUATION_TAB} tab`);
+}
+
+// ---- Rules ----
+// Terms the Rules tab can label (brand, competitors, locations, question words) skip the models.
+// Rules are checked top to bottom and the first match wins. contains and starts-with compare
+// lowercased text (starts-with on whole words), regex is case-insensitive and fuzzy allows a few
+// typos, for brand misspellings.
+
+function readRules(spreadsheet, taxonomy) {
+    const sheet = spreadsheet.getSheetByName(RULES_TAB);
+    if (!sheet || sheet.getLastRow() < 2) return [];
+
+    const [headers, ...rows] = sheet.getDataRange().getValues();
+    const matchColumn = headers.indexOf("Match");
+    const patternColumn = headers.indexOf("Pattern");
+    if (matchColumn < 0 || patternColumn < 0) throw new Error(`The ${RULES_TAB} tab needs Match and Pattern columns`);
+    const columns = taxonomy.map(d => headers.indexOf(d.name));
+
+    const rules = rows.filter(row => row[patternColumn]?.toString().trim()).map(row => {
+        const match = (row[matchColumn] || "contains").toString().trim().toLowerCase();
+        const pattern = row[patternColumn].toString().trim();
+        const name = `${match} "${pattern}"`;
+        if (!RULE_MATCHES.includes(match)) throw new Error(`Invalid rule ${name} - use one of ${RULE_MATCHES.join(", ")}`);
+
+        const answer = { confidence: 1 };
+        taxonomy.forEach((d, i) => { answer[d.key] = columns[i] >= 0 ? row[columns[i]] : ""; });
+        try {
+            return {
+                match,
+                pattern: match === "regex" ? new RegExp(pattern, "i") : normalizeTerm(pattern),
+                result: { ...validateResponse(answer, taxonomy), source: "rule" }
+            };
+        } catch (error) {
+            throw new Error(`Rule ${name}: ${error.message}`);
+        }
+    });
+
+    if (rules.length) Logger.log(`Using ${rules.length} rules`);
+    return rules;
+}
+
+function matchRule(rules, term) {
+    if (!rules?.length) return undefined;
+    const text = normalizeTerm(term);
+    return rules.find(rule => {
+        if (rule.match === "regex") return rule.pattern.test(text);
+        if (rule.match === "starts-with") return text === rule.pattern || text.startsWith(`${rule.pattern} `);
+        if (rule.match === "fuzzy") return fuzzyContains(text, rule.pattern);
+        return text.includes(rule.pattern);
+    });
+}
+
+// True when some run of words in the text is within a few edits of the pattern
+function fuzzyContains(text, pattern) {
+    const maxEdits = Math.min(FUZZY_MAX_EDITS, Math.floor(pattern.length / 4));
+    const words = text.split(" ");
+    const size = pattern.split(" ").length;
+    for (let i = 0; i + size <= words.length; i++) {
+        if (editDistance(words.slice(i, i + size).join(" "), pattern) <= maxEdits) return true;
+    }
+    return false;
+}
+
+// Levenshtein distance, one row at a time
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// ---- Prompt comparison ----
+// "compare_prompts" mode classifies the same terms with promptVersion (A) and comparePromptVersion (B)
+// and reports how often they agree, how the category mix shifts and what each one costs. Like the
+// evaluation, the cache is skipped so both prompts are really sent and their tokens measured, and
+// max_spend_usd and the Cost Ledger cover both.
+function runPromptComparison(spreadsheet, settings) {
+    const apiKeys = getAPIKeys(spreadsheet, settings.providers);
+    const cache = loadCache(spreadsheet, 0, settings.taxonomy);
+    const context = readPromptContext(spreadsheet, settings.taxonomy, loadOverrides(spreadsheet, settings.taxonomy));
+
+    const runs = [settings.prompt, settings.comparePrompt].map(prompt => {
+        const variantSettings = { ...settings, promptContext: { ...context, ...prompt } };
+        return { prompt, label: `prompt ${prompt.version}`, settings: variantSettings, estimate: estimateCost(variantSettings, cache, settings.topTerms) };
+    });
+    checkSpendEstimates(settings, runs);
+
+    const variants = [];
+    for (const run of runs) {
+        if (settings.maxSpend && variants.reduce((sum, v) => sum + v.cost, 0) + run.estimate > settings.maxSpend) {
+            Logger.log(`Stopping before ${run.label} - it would go over max_spend_usd ($${settings.maxSpend})`);
+            break;
+        }
+
+        tokenCounts = {};
+        const results = classifyTerms(run.settings, apiKeys, cache);
+        const tokens = Object.values(tokenCounts).reduce((sum, counts) =>
+            ({ input: sum.input + counts.input, output: sum.output + counts.output }), { input: 0, output: 0 });
+        const cost = getRunCost(run.settings);
+        appendCostLedger(spreadsheet, run.settings, cache, {}, settings.topTerms.length);
+        Logger.log(`Prompt ${run.prompt.version}: ${tokens.input} input and ${tokens.output} output tokens, $${cost.toFixed(4)}`);
+        variants.push({ version: run.prompt.version, results, tokens, cost });
+    }
+
+    // the variant that ran is already in the Cost Ledger - a one-sided comparison isn't worth writing
+    if (variants.length < runs.length) {
+        Logger.log(`Only prompt ${variants[0]?.version} ran - nothing written to the ${PROMPT_COMPARISON_TAB} tab`);
+        return;
+    }
+    outputPromptComparison(spreadsheet, settings.taxonomy[0], variants);
+}
+
+function outputPromptComparison(spreadsheet, dimension, [a, b]) {
+    const sheet = spreadsheet.getSheetByName(PROMPT_COMPARISON_TAB) || spreadsheet.insertSheet(PROMPT_COMPARISON_TAB);
+    sheet.clear();
+
+    const total = a.results.length;
+    const agree = a.results.map((r, i) => r.category === b.results[i].category);
+    const agreement = agree.filter(Boolean).length / total;
+    const count = (variant, label) => variant.results.filter(r => r.category === label).length;
+
+    const rows = [
+        ["Prompt Comparison"],
+        ["Prompt Version", "Terms", "Input Tokens", "Output Tokens", "Cost ($)"],
+        ...[a, b].map(v => [v.version, total, v.tokens.input, v.tokens.output, v.cost]),
+        [`Difference (${b.version} - ${a.version})`, "", b.tokens.input - a.tokens.input, b.tokens.output - a.tokens.output, b.cost - a.cost],
+        ["Agreement", agreement],
+        [],
+        [dimension.name, `${a.version} Terms`, `${a.version} Share`, `${b.version} Terms`, `${b.version} Share`, "Shift"],
+        ...[...dimension.labels.map(l => l.label), "ERROR"].map(label => {
+            const countA = count(a, label);
+            const countB = count(b, label);
+            return [label, countA, countA / total, countB, countB / total, (countB - countA) / total];
+        }),
+        [],
+        ["Search Term", a.version, b.version, "Agree"],
+        ...a.results.map((r, i) => [r.term, r.category, b.results[i].category, agree[i]])
+    ];
+
+    const width = Math.max(...rows.map(r => r.length));
+    const padded = rows.map(r => [...r, ...new Array(width - r.length).fill("")]);
+    sheet.getRange(1, 1, padded.length, width).setValues(padded);
+    sheet.getRange(2, 1, 1, width).setFontWeight("bold");
+    sheet.autoResizeColumns(1, width);
+
+    Logger.log(`Prompts ${a.version} and ${b.version} agree on ${(agreement * 100).toFixed(1)}% of terms, cost difference $${(b.cost - a.cost).toFixed(4)}`);
+    Logger.log(`Comparison written to the ${PROMPT_COMPARISON_TAB} tab`);
+}
+
+// ---- Negative keywords ----
+// "negatives" mode joins the classifications in the Results tab with search term performance and
+// proposes negatives for costly, non-converting terms in the negativeCategories. Nothing changes in
+// the account until someone ticks Approve and runs "apply_negatives".
+
+// All optional named ranges
+function readNegativeSettings(spreadsheet) {
+    const value = name => spreadsheet.getRangeByName(name)?.getValue();
+    const options = {
+        categories: (value("negativeCategories") || NEGATIVE_CATEGORIES.join(",")).toString()
+            .split(",").map(c => c.trim().toUpperCase()).filter(Boolean),
+        minCost: parseNumberSetting(value("negativeMinCost"), NEGATIVE_MIN_COST),
+        maxConversions: parseNumberSetting(value("negativeMaxConversions"), 0),
+        matchType: (value("negativeMatchType") || "EXACT").toString().trim().toUpperCase(),
+        // blank proposes campaign negatives wherever the term ran, otherwise the name of a shared negative list
+        list: (value("negativeList") || "").toString().trim(),
+        // when true apply_negatives only logs what it would add
+        preview: (value("negativesPreview") || "").toString().toLowerCase() === "true"
+    };
+
+    if (!["EXACT", "PHRASE", "BROAD"].includes(options.matchType)) throw new Error(`Invalid negativeMatchType: ${options.matchType}`);
+    return options;
+}
+
+function proposeNegatives(spreadsheet, settings) {
+    const options = readNegativeSettings(spreadsheet);
+    const classified = readClassifiedTerms(spreadsheet, settings.taxonomy[0].name);
+    const searchTerms = fetchSearchTerms(readSearchTermFilters(spreadsheet));
+    const proposals = [];
+
+    searchTerms.forEach(t => {
+        const result = classified[normalizeTerm(t.term)];
+        if (!result || !options.categories.includes(result.category.toUpperCase())) return;
+        if (t.cost < options.minCost || t.conversions > options.maxConversions) return;
+
+        const targets = options.list ? [["Shared List", options.list]] : t.campaigns.map(c => ["Campaign", c]);
+        targets.forEach(([level, target]) => proposals.push([
+            false, t.term, normalizeTerm(t.term), options.matchType, level, target,
+            result.category, result.confidence, t.cost, t.clicks, t.conversions, "", ""
+        ]));
+    });
+
+    writeApprovalTab(spreadsheet, NEGATIVES_TAB, NEGATIVES_HEADERS, proposals, [2, 3, 4, 5]);
+    Logger.log(`${proposals.length} negative keywords proposed in the ${NEGATIVES_TAB} tab`);
+}
+
+// Search term -> primary category and confidence, from the last classification run
+function readClassifiedTerms(spreadsheet, dimension) {
+    const sheet = spreadsheet.getSheetByName("Results");
+    if (!sheet || sheet.getLastRow() < 2) throw new Error("No Results to propose from - run classify first");
+
+    const [headers, ...rows] = sheet.getDataRange().getValues();
+    const termColumn = headers.indexOf("Search Term");
+    const categoryColumn = headers.indexOf(dimension);
+    const confidenceColumn = headers.indexOf("Confidence");
+
+    const classified = {};
+    rows.forEach(row => {
+        const category = (row[categoryColumn] || "").toString();
+        if (!row[termColumn] || !category || category === "ERROR") return;
+        classified[normalizeTerm(row[termColumn])] = { category, confidence: row[confidenceColumn] };
+    });
+    return classified;
+}
+
+// Writes proposals under an Approve checkbox column. Rows that were proposed before (same
+// keyColumns) keep their Approve tick and the last two columns, Status and when it was applied.
+function writeApprovalTab(spreadsheet, tab, headers, proposals, keyColumns) {
+    const sheet = spreadsheet.getSheetByName(tab) || spreadsheet.insertSheet(tab);
+    const key = row => keyColumns.map(c => row[c]).join("|");
+    const previous = {};
+    if (sheet.getLastRow() > 1) {
+        sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues()
+            .forEach(row => { previous[key(row)] = row; });
+    }
+
+    const rows = proposals.map(row => {
+        const old = previous[key(row)];
+        return old ? [old[0], ...row.slice(1, -2), ...old.slice(-2)] : row;
+    });
+
+    sheet.clear();
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight("bold");
+    if (rows.length) {
+        sheet.getRange(2, 1, rows.length, 1).insertCheckboxes();
+        sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    }
+    sheet.autoResizeColumns(1, headers.length);
+}
+
+// Adds approved rows that haven't been added yet, marks them in the tab and records them in the Negatives Log
+function applyNegatives(spreadsheet) {
+    const options = readNegativeSettings(spreadsheet);
+    const sheet = spreadsheet.getSheetByName(NEGATIVES_TAB);
+    if (!sheet || sheet.getLastRow() < 2) {
+        Logger.log(`No proposed negatives found in the ${NEGATIVES_TAB} tab`);
+        return;
+    }
+
+    const range = sheet.getRange(2, 1, sheet.getLastRow() - 1, NEGATIVES_HEADERS.length);
+    const rows = range.getValues();
+    const timestamp = new Date().toISOString();
+    const log = [];
+
+    rows.forEach(row => {
+        const [approve, , keyword, matchType, level, target, , , , , , status] = row;
+        if (approve.toString().toUpperCase() !== "TRUE" || status === "Added") return;
+
+        const text = formatKeyword(keyword, matchType);
+        try {
+            if (!options.preview) addNegativeKeyword(level, target, text);
+            row[11] = options.preview ? "Preview" : "Added";
+            row[12] = timestamp;
+            Logger.log(`${options.preview ? "Would add" : "Added"} ${text} to ${level.toLowerCase()} "${target}"`);
+        } catch (error) {
+            row[11] = `Error: ${error.message}`;
+            Logger.log(`Could not add ${text} to ${level.toLowerCase()} "${target}": ${error.message}`);
+        }
+        log.push([timestamp, row[11], text, level, target]);
+    });
+
+    range.setValues(rows);
+    appendLog(spreadsheet, NEGATIVES_LOG_TAB, ["Timestamp", "Result", "Negative Keyword", "Level", "Target"], log);
+    Logger.log(`${log.length} approved negative keywords processed${options.preview ? " (preview only)" : ""}`);
+}
+
+// Ads Scripts take the match type from the keyword text
+function formatKeyword(keyword, matchType) {
+    if (matchType === "EXACT") return `[${keyword}]`;
+    if (matchType === "PHRASE") return `"${keyword}"`;
+    return keyword;
+}
+
+function addNegativeKeyword(level, target, text) {
+    const name = target.toString().replace(/"/g, '\\"');
+    const shared = level === "Shared List";
+    const entities = shared
+        ? AdsApp.negativeKeywordLists().withCondition(`shared_set.name = "${name}"`).get()
+        : AdsApp.campaigns().withCondition(`campaign.name = "${name}"`).get();
+    if (!entities.hasNext()) throw new Error(`${level} not found: ${target}`);
+
+    const entity = entities.next();
+    if (shared) {
+        entity.addNegativeKeyword(text);
+    } else {
+        entity.createNegativeKeyword(text);
+    }
+}
+
+function appendLog(spreadsheet, tab, headers, rows) {
+    if (!rows.length) return;
+    const sheet = spreadsheet.getSheetByName(tab) || spreadsheet.insertSheet(tab);
+    if (sheet.getLastRow() === 0) sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight("bold");
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, headers.length).setValues(rows);
+}
+
+// ---- Keyword harvesting ----
+// "keywords" mode looks for converting search terms in the keywordCategories that aren't exact
+// match keywords yet, and proposes each one for the ad group it converted in most. Like negatives,
+// nothing changes until someone ticks Approve and runs "apply_keywords".
+
+// All optional named ranges
+function readKeywordSettings(spreadsheet) {
+    const value = name => spreadsheet.getRangeByName(name)?.getValue();
+    return {
+        categories: (value("keywordCategories") || KEYWORD_CATEGORIES.join(",")).toString()
+            .split(",").map(c => c.trim().toUpperCase()).filter(Boolean),
+        minConversions: parseNumberSetting(value("keywordMinConversions"), KEYWORD_MIN_CONVERSIONS),
+        // blank or 0 means any ROAS
+        minRoas: parseNumberSetting(value("keywordMinRoas"), 0),
+        // when true apply_keywords only logs what it would add
+        preview: (value("keywordsPreview") || "").toString().toLowerCase() === "true"
+    };
+}
+
+function proposeKeywords(spreadsheet, settings) {
+    const options = readKeywordSettings(spreadsheet);
+    const classified = readClassifiedTerms(spreadsheet, settings.taxonomy[0].name);
+    const keywords = fetchKeywordMatchTypes();
+    const proposals = [];
+
+    fetchSearchTermsByAdGroup(readSearchTermFilters(spreadsheet)).forEach(t => {
+        const keyword = normalizeTerm(t.term);
+        const result = classified[keyword];
+        const existing = keywords[keyword] || [];
+        if (!result || !options.categories.includes(result.category.toUpperCase()) || existing.includes("EXACT")) return;
+        if (t.conversions < options.minConversions || t.conversions === 0 || t.roas < options.minRoas) return;
+
+        const best = t.adGroups.sort((a, b) => b.conversions - a.conversions || b.conversionValue - a.conversionValue || b.clicks - a.clicks)[0];
+        proposals.push([
+            false, t.term, keyword, "EXACT", best.campaign, best.adGroup, result.category, result.confidence,
+            existing.join(", "), t.clicks, t.cost, t.conversions, t.conversionValue, t.roas, "", ""
+        ]);
+    });
+
+    proposals.sort((a, b) => b[11] - a[11]);
+    writeApprovalTab(spreadsheet, KEYWORDS_TAB, KEYWORDS_HEADERS, proposals, [2, 3, 4, 5]);
+    Logger.log(`${proposals.length} keywords proposed in the ${KEYWORDS_TAB} tab`);
+}
+
+// Search terms with their totals, and per ad group where they triggered - the same
+// search_term_view query as fetchSearchTerms, plus the ad group
+function fetchSearchTermsByAdGroup(filters) {
+    const rows = AdsApp.report(buildSearchTermQuery(filters, ["ad_group.name"])).rows();
+    const byTerm = {};
+
+    while (rows.hasNext()) {
+        const row = rows.next();
+        const term = row['search_term_view.search_term'];
+        const metrics = {
+            clicks: parseInt(row['metrics.clicks'], 10) || 0,
+            cost: (parseInt(row['metrics.cost_micros'], 10) || 0) / 1000000,
+            conversions: parseFloat(row['metrics.conversions']) || 0,
+            conversionValue: parseFloat(row['metrics.conversions_value']) || 0
+        };
+
+        const totals = byTerm[normalizeTerm(term)] = byTerm[normalizeTerm(term)] ||
+            { term, adGroups: [], clicks: 0, cost: 0, conversions: 0, conversionValue: 0 };
+        const campaign = row['campaign.name'];
+        const adGroup = row['ad_group.name'];
+        let inAdGroup = totals.adGroups.find(a => a.campaign === campaign && a.adGroup === adGroup);
+        if (!inAdGroup) totals.adGroups.push(inAdGroup = { campaign, adGroup, clicks: 0, cost: 0, conversions: 0, conversionValue: 0 });
+
+        Object.keys(metrics).forEach(metric => {
+            inAdGroup[metric] += metrics[metric];
+            totals[metric] += metrics[metric];
+        });
+    }
+
+    return Object.values(byTerm).map(t => ({ ...t, roas: t.cost > 0 ? t.conversionValue / t.cost : 0 }));
+}
+
+// Enabled keyword text (normalized) -> the match types it's already in the account with
+function fetchKeywordMatchTypes() {
+    const query = `
+SELECT 
+  ad_group_criterion.keyword.text, 
+  ad_group_criterion.keyword.match_type
+FROM ad_group_criterion
+WHERE ad_group_criterion.type = "KEYWORD"
+  AND ad_group_criterion.negative = FALSE
+  AND ad_group_criterion.status = "ENABLED"
+  AND ad_group.status = "ENABLED"
+  AND campaign.status = "ENABLED"`;
+
+    const keywords = {};
+    const rows = AdsApp.report(query).rows();
+    while (rows.hasNext()) {
+        const row = rows.next();
+        const text = normalizeTerm(row['ad_group_criterion.keyword.text']);
+        const matchType = row['ad_group_criterion.keyword.match_type'];
+        keywords[text] = keywords[text] || [];
+        if (!keywords[text].includes(matchType)) keywords[text].push(matchType);
+    }
+    return keywords;
+}
+
+// Adds approved rows that haven't been added yet, marks them in the tab and records them in the Keywords Log
+function applyKeywords(spreadsheet) {
+    const options = readKeywordSettings(spreadsheet);
+    const sheet = spreadsheet.getSheetByName(KEYWORDS_TAB);
+    if (!sheet || sheet.getLastRow() < 2) {
+        Logger.log(`No keyword opportunities found in the ${KEYWORDS_TAB} tab`);
+        return;
+    }
+
+    const range = sheet.getRange(2, 1, sheet.getLastRow() - 1, KEYWORDS_HEADERS.length);
+    const rows = range.getValues();
+    const statusColumn = KEYWORDS_HEADERS.indexOf("Status");
+    const timestamp = new Date().toISOString();
+    const log = [];
+
+    rows.forEach(row => {
+        const [approve, , keyword, matchType, campaign, adGroup] = row;
+        if (approve.toString().toUpperCase() !== "TRUE" || row[statusColumn] === "Added") return;
+
+        const text = formatKeyword(keyword, matchType);
+        try {
+            if (!options.preview) addKeyword(campaign, adGroup, text);
+            row[statusColumn] = options.preview ? "Preview" : "Added";
+            row[statusColumn + 1] = timestamp;
+            Logger.log(`${options.preview ? "Would add" : "Added"} ${text} to "${campaign}" > "${adGroup}"`);
+        } catch (error) {
+            row[statusColumn] = `Error: ${error.message}`;
+            Logger.log(`Could not add ${text} to "${campaign}" > "${adGroup}": ${error.message}`);
+        }
+        log.push([timestamp, row[statusColumn], text, campaign, adGroup]);
+    });
+
+    range.setValues(rows);
+    appendLog(spreadsheet, KEYWORDS_LOG_TAB, ["Timestamp", "Result", "Keyword", "Campaign", "Ad Group"], log);
+    Logger.log(`${log.length} approved keywords processed${options.preview ? " (preview only)" : ""}`);
+}
 
-    const inputCost = (tokenCounts.input / 1000000) * costs.input;
-    const outputCost = (tokenCounts.output / 1000000) * costs.output;
+function addKeyword(campaign, adGroup, text) {
+    const escape = name => name.toString().replace(/"/g, '\\"');
+    const adGroups = AdsApp.adGroups()
+        .withCondition(`campaign.name = "${escape(campaign)}"`)
+        .withCondition(`ad_group.name = "${escape(adGroup)}"`)
+        .get();
+    if (!adGroups.hasNext()) throw new Error(`Ad group not found: ${campaign} > ${adGroup}`);
 
-    Logger.log(`Tokens - Input: ${tokenCounts.input}, Output: ${tokenCounts.output}`);
-    Logger.log(`Costs - Input: $${inputCost.toFixed(4)}, Output: $${outputCost.toFixed(4)}`);
-    Logger.log(`Total: $${(inputCost + outputCost).toFixed(4)}`);
+    const operation = adGroups.next().newKeywordBuilder().withText(text).build();
+    if (!operation.isSuccessful()) throw new Error(operation.getErrors().join("; "));
 }
 
 function handleError(error) {
@@ -0,0 +1,903 @@
+// Run with: npm test (node --test test/)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./harness/load-script');
+const providers = require('./harness/fixtures/providers');
+const { searchTermRow } = require('./harness/fixtures/reports');
+
+const SCRIPT = 'scripts/v2/classify-with-3-models.js';
+const LABELS = { 'swimwear sale': 'COMMERCIAL', 'what is chlorine resistance': 'INFORMATIONAL', 'swim shop near me': 'LOCAL' };
+
+// Answers single-term and batch prompts with the labels above
+function classifier(provider, labels = LABELS) {
+    return request => {
+        const body = request.json;
+        const prompt = body.messages ? body.messages[0].content : body.contents[0].parts[0].text;
+        const batch = [...prompt.matchAll(/^\s*- "(.*)"$/gm)].map(m => m[1]);
+        const answer = batch.length
+            ? { results: batch.map(term => ({ term, category: labels[term], confidence: 0.9 })) }
+            : { category: labels[prompt.match(/Search term: "(.*)"/)[1]], confidence: 0.8 };
+        return provider === 'anthropic'
+            ? providers.anthropic.toolUse(answer)
+            : providers[provider].success(JSON.stringify(answer));
+    };
+}
+
+function settings(overrides = {}) {
+    return {
+        model: 'openai',
+        cheap: true,
+        topTerms: Object.keys(LABELS),
+        key_openai: 'sk-test',
+        key_anthropic: 'sk-ant-test',
+        key_gemini: 'gemini-test',
+        ...overrides
+    };
+}
+
+const routes = (overrides = {}) => [
+    { match: 'api.openai.com', respond: overrides.openai || classifier('openai') },
+    { match: 'api.anthropic.com', respond: overrides.anthropic || classifier('anthropic') },
+    { match: 'generativelanguage.googleapis.com', respond: overrides.gemini || classifier('gemini') }
+];
+
+test('classifies every term with the selected provider and writes Results', () => {
+    const run = loadScript(SCRIPT, { namedRanges: settings(), routes: routes() });
+    run.main();
+
+    const results = run.sheet('Results');
+    assert.deepEqual(results[0], ['Search Term', 'Category', 'Confidence', 'Source', 'Duration (sec)', 'Error']);
+    assert.deepEqual(results.slice(1).map(r => [r[0], r[1]]), Object.entries(LABELS));
+    assert.equal(run.urlFetchApp.requests.length, 1, 'all three terms fit in one batch');
+    assert.ok(run.logs.some(line => line.startsWith('Total: $')));
+});
+
+test('ensemble mode votes across providers and reports agreement', () => {
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ ensemble: true }),
+        routes: routes({ gemini: classifier('gemini', { ...LABELS, 'swimwear sale': 'NAVIGATIONAL' }) })
+    });
+    run.main();
+
+    const [headers, sale] = run.sheet('Results');
+    assert.deepEqual(headers.slice(0, 7), ['Search Term', 'Category', 'Confidence', 'Agreement', 'OpenAI', 'Anthropic', 'Gemini']);
+    assert.deepEqual(sale.slice(0, 7), ['swimwear sale', 'COMMERCIAL', 0.9, 2 / 3, 'COMMERCIAL', 'COMMERCIAL', 'NAVIGATIONAL']);
+});
+
+test('auth errors end up as ERROR rows without retrying', () => {
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ model: 'anthropic', batchSize: 1, concurrency_anthropic: 1 }),
+        routes: routes({ anthropic: providers.anthropic.errors.auth })
+    });
+    run.main();
+
+    const results = run.sheet('Results');
+    assert.ok(results.slice(1).every(r => r[1] === 'ERROR' && r[5] === 'auth (401): invalid x-api-key'));
+    assert.equal(run.urlFetchApp.requests.length, 1, 'the other terms are not sent once the key is known to be bad');
+    assert.deepEqual(run.utilities.sleeps, []);
+});
+
+test('rate limits wait for Retry-After and overloaded providers are retried', () => {
+    const answer = classifier('anthropic');
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ model: 'anthropic' }),
+        routes: routes({ anthropic: [providers.anthropic.errors.rateLimit, providers.anthropic.errors.overloaded, answer] })
+    });
+    run.main();
+
+    assert.equal(run.urlFetchApp.requests.length, 3);
+    assert.ok(run.utilities.sleeps[0] > 2900, 'waits the 3 seconds the provider asked for');
+    assert.deepEqual(run.sheet('Results').slice(1).map(r => r[1]), Object.values(LABELS));
+});
+
+test('blocked content and invalid requests are reported by category', () => {
+    const gemini = loadScript(SCRIPT, {
+        namedRanges: settings({ model: 'gemini', topTerms: ['swimwear sale'] }),
+        routes: routes({ gemini: providers.gemini.errors.contentFilter })
+    });
+    gemini.main();
+    assert.equal(gemini.sheet('Results')[1][5], 'content_filter (200): Blocked: SAFETY');
+    assert.equal(gemini.urlFetchApp.requests.length, 1);
+
+    const openai = loadScript(SCRIPT, {
+        namedRanges: settings({ topTerms: ['swimwear sale'] }),
+        routes: routes({ openai: providers.openai.errors.invalidModel })
+    });
+    openai.main();
+    assert.match(openai.sheet('Results')[1][5], /^invalid_request \(404\): The model `gpt-nope` does not exist/);
+    assert.equal(openai.urlFetchApp.requests.length, 1);
+});
+
+test('OpenAI refusals are content_filter errors and are not retried', () => {
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ topTerms: ['swimwear sale'] }),
+        routes: routes({ openai: providers.openai.errors.refusal })
+    });
+    run.main();
+
+    assert.equal(run.sheet('Results')[1][5], "content_filter (200): Blocked: I'm sorry, I can't help with that request.");
+    assert.equal(run.urlFetchApp.requests.length, 1);
+});
+
+test('Anthropic refusals are content_filter errors and are not retried', () => {
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ model: 'anthropic', topTerms: ['swimwear sale'] }),
+        routes: routes({ anthropic: providers.anthropic.errors.refusal })
+    });
+    run.main();
+
+    assert.equal(run.sheet('Results')[1][5], 'content_filter (200): Blocked: refusal');
+    assert.equal(run.urlFetchApp.requests.length, 1);
+});
+
+test('only the invalid item of a batch is retried, on its own', () => {
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings(),
+        routes: routes({
+            openai: request => {
+                const prompt = request.json.messages[0].content;
+                const single = !/^\s*- "/m.test(prompt);
+                return classifier('openai', single ? LABELS : { ...LABELS, 'swim shop near me': 'NOT A LABEL' })(request);
+            }
+        })
+    });
+    run.main();
+
+    const [first, second] = run.urlFetchApp.requests.map(r => r.json.messages[0].content);
+    assert.equal(run.urlFetchApp.requests.length, 2, 'one batch plus one single-term follow-up');
+    assert.match(first, /Search terms:/);
+    assert.match(second, /Search term: "swim shop near me"/);
+    assert.deepEqual(run.sheet('Results').slice(1).map(r => [r[0], r[1]]), Object.entries(LABELS));
+});
+
+test('results keep the term order when requests finish in different waves', () => {
+    const answer = classifier('openai');
+    let limited = false;
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ batchSize: 1, concurrency_openai: 2 }),
+        routes: routes({
+            openai: request => {
+                if (!limited && request.json.messages[0].content.includes('"swimwear sale"')) {
+                    limited = true;
+                    return providers.openai.errors.rateLimit;
+                }
+                return answer(request);
+            }
+        })
+    });
+    run.main();
+
+    const terms = run.urlFetchApp.requests.map(r => r.json.messages[0].content.match(/Search term: "(.*)"/)[1]);
+    assert.deepEqual(terms, ['swimwear sale', 'what is chlorine resistance', 'swim shop near me', 'swimwear sale'],
+        'the rate-limited first term is sent again after the others');
+    assert.deepEqual(run.sheet('Results').slice(1).map(r => [r[0], r[1]]), Object.entries(LABELS));
+});
+
+test('a run that reaches the time limit checkpoints its progress and the next run resumes without duplicates', () => {
+    let slow = true;
+    const answer = classifier('openai');
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ cacheMaxAgeDays: 0 }),
+        constants: { CHECKPOINT_SIZE: 1, MAX_RUNTIME_SECONDS: 10 },
+        routes: routes({
+            openai: request => {
+                if (slow) run.clock.advance(20000);
+                return answer(request);
+            }
+        })
+    });
+    run.main();
+
+    const [stateHeaders, state] = run.sheet('State');
+    assert.deepEqual([state[stateHeaders.indexOf('Status')], state[stateHeaders.indexOf('Next Index')]], ['In progress', 1]);
+    assert.deepEqual(run.sheet('Results').slice(1).map(r => r[0]), ['swimwear sale']);
+    assert.ok(run.logs.includes('Stopping at term 1 of 3 - the next run will resume from here'));
+
+    slow = false;
+    run.main();
+
+    assert.ok(run.logs.includes('Resuming from term 1 of 3'));
+    assert.equal(run.urlFetchApp.requests.length, 3, 'the first term is not sent again');
+    assert.deepEqual(run.sheet('Results').slice(1).map(r => [r[0], r[1]]), Object.entries(LABELS));
+    assert.equal(run.sheet('State')[1][stateHeaders.indexOf('Status')], 'Complete');
+});
+
+test('a checkpoint is not resumed after the prompt version changes', () => {
+    let slow = true;
+    const answer = classifier('openai');
+    const template = 'Label these Google Ads search terms.\n{categories}\n{terms}';
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ cacheMaxAgeDays: 0, promptVersion: 'short' }),
+        sheets: { Prompts: [['Version', 'Template', 'Notes'], ['short', template, ''], ['terse', `Be terse. ${template}`, '']] },
+        constants: { CHECKPOINT_SIZE: 1, MAX_RUNTIME_SECONDS: 10 },
+        routes: routes({
+            openai: request => {
+                if (slow) run.clock.advance(20000);
+                return answer(request);
+            }
+        })
+    });
+    run.main();
+
+    slow = false;
+    run.spreadsheet.namedRanges.promptVersion = 'terse';
+    run.main();
+
+    assert.ok(!run.logs.includes('Resuming from term 1 of 3'));
+    assert.equal(run.urlFetchApp.requests.length, 4, 'every term is sent again with the new prompt');
+    assert.deepEqual(run.sheet('Results').slice(1).map(r => [r[0], r[1]]), Object.entries(LABELS));
+});
+
+test('cached terms are not sent to the provider again', () => {
+    const run = loadScript(SCRIPT, { namedRanges: settings(), routes: routes() });
+    run.main();
+    run.spreadsheet.getSheetByName('State').clear();
+    run.main();
+
+    assert.equal(run.urlFetchApp.requests.length, 1);
+    assert.ok(run.logs.includes('Cache - Hits: 3, Saved: $0.0000'));
+});
+
+test('a Taxonomy tab drives the prompt, validation and one column per dimension', () => {
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ topTerms: ['funkita swimwear'] }),
+        sheets: {
+            Taxonomy: [
+                ['Dimension', 'Label', 'Definition', 'Examples'],
+                ['Product Line', 'Swimwear', 'Swimsuits and bikinis', 'funkita swimwear, kids swimwear'],
+                ['Product Line', 'Accessories', 'Goggles, caps and towels', ''],
+                ['Intent', 'COMMERCIAL', 'Buying intent', ''],
+                ['Intent', 'INFORMATIONAL', 'Looking for information', '']
+            ]
+        },
+        routes: [{
+            match: 'api.openai.com',
+            respond: request => {
+                const prompt = request.json.messages[0].content;
+                assert.match(prompt, /- Swimwear: Swimsuits and bikinis \(e\.g\. "funkita swimwear", "kids swimwear"\)/);
+                assert.match(prompt, /"product_line": "ONE PRODUCT LINE LABEL FROM ABOVE"/);
+                return providers.openai.success('{"product_line": "swimwear", "intent": "COMMERCIAL", "confidence": 0.95}');
+            }
+        }]
+    });
+    run.main();
+
+    const [headers, row] = run.sheet('Results');
+    assert.deepEqual(headers, ['Search Term', 'Product Line', 'Intent', 'Confidence', 'Source', 'Duration (sec)', 'Error']);
+    assert.deepEqual(row.slice(0, 4), ['funkita swimwear', 'Swimwear', 'COMMERCIAL', 0.95]);
+});
+
+test('evaluate mode scores each model against the gold set', () => {
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({
+            mode: 'evaluate',
+            topTerms: [],
+            goldSet: [['swimwear sale', 'COMMERCIAL'], ['what is chlorine resistance', 'QUESTION'], ['swim shop near me', 'LOCAL']],
+            evaluateModels: ['openai cheap', 'gemini cheap']
+        }),
+        routes: routes()
+    });
+    run.main();
+
+    const evaluation = run.sheet('Evaluation');
+    assert.deepEqual(evaluation[1].slice(0, 7), ['Provider', 'Tier', 'Model', 'Terms', 'Accuracy', 'Errors', 'Mean Time per Term (sec)']);
+    assert.deepEqual(evaluation[2].slice(0, 6), ['OpenAI', 'cheap', 'gpt-4.1-nano-2025-04-14', 3, 2 / 3, 0]);
+    assert.equal(evaluation[2][7], (120 * 0.10 + 20 * 0.40) / 1000000, 'one batch request of 120 in / 20 out tokens');
+
+    // First model's confusion matrix: the QUESTION term was labelled INFORMATIONAL
+    const matrix = evaluation.findIndex(row => row[0] === 'Human \\ Model');
+    const columns = evaluation[matrix];
+    const question = evaluation.slice(matrix).find(row => row[0] === 'QUESTION');
+    assert.equal(question[columns.indexOf('INFORMATIONAL')], 1);
+    assert.equal(question[columns.indexOf('QUESTION')], 0);
+    assert.equal(run.sheet('Results'), null, 'evaluation does not touch Results');
+    assert.deepEqual(run.sheet('Cost Ledger').slice(1).map(r => [r[2], r[3], r[6]]), [
+        ['gpt-4.1-nano-2025-04-14', 3, evaluation[2][7]],
+        ['gemini-2.5-flash-preview-05-20', 3, evaluation[3][7]]
+    ]);
+});
+
+test('evaluate mode uses the account guidance and examples, leaving out gold-set terms', () => {
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({
+            mode: 'evaluate',
+            topTerms: [],
+            accountGuidance: 'Store visits are LOCAL.',
+            goldSet: [['swimwear sale', 'COMMERCIAL'], ['swim shop near me', 'LOCAL']],
+            evaluateModels: ['openai cheap']
+        }),
+        sheets: { Examples: [['Search Term', 'Category'], ['swimwear sale', 'COMMERCIAL'], ['kids swimwear sale', 'COMMERCIAL']] },
+        routes: routes()
+    });
+    run.main();
+
+    const prompt = run.urlFetchApp.requests[0].json.messages[0].content;
+    assert.match(prompt, /Account guidance:\n\s*Store visits are LOCAL\./);
+    assert.match(prompt, /- "kids swimwear sale": COMMERCIAL/);
+    assert.doesNotMatch(prompt, /- "swimwear sale": COMMERCIAL/, 'the gold answer is not given away');
+});
+
+test('evaluate mode does not start when its estimate is over max_spend_usd', () => {
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({
+            mode: 'evaluate',
+            topTerms: [],
+            max_spend_usd: 0.00001,
+            goldSet: [['swimwear sale', 'COMMERCIAL'], ['swim shop near me', 'LOCAL']]
+        }),
+        routes: routes()
+    });
+    run.main();
+
+    assert.equal(run.urlFetchApp.requests.length, 0);
+    assert.ok(run.logs.some(line => /Estimated cost \$[\d.]+ is over max_spend_usd \(\$0.00001\) - not starting/.test(line)));
+    assert.equal(run.sheet('Evaluation'), null);
+});
+
+test('each provider is asked for schema-constrained output built from the categories', () => {
+    const run = loadScript(SCRIPT, { namedRanges: settings({ ensemble: true }), routes: routes() });
+    run.main();
+
+    const [openai, anthropic, gemini] = ['openai', 'anthropic', 'googleapis'].map(host =>
+        run.urlFetchApp.requests.find(request => request.url.includes(host)).json);
+    const categories = ['INFORMATIONAL', 'NAVIGATIONAL', 'COMMERCIAL', 'LOCAL', 'QUESTION'];
+
+    const schema = openai.response_format.json_schema.schema;
+    assert.equal(openai.response_format.type, 'json_schema');
+    assert.deepEqual(schema.properties.results.items.properties.category.enum, categories);
+    assert.deepEqual(anthropic.tools[0].input_schema, schema);
+    assert.deepEqual(anthropic.tool_choice, { type: 'tool', name: 'record_classification' });
+    assert.equal(gemini.generationConfig.responseMimeType, 'application/json');
+    assert.equal(gemini.generationConfig.responseSchema.properties.results.items.type, 'OBJECT');
+    assert.equal(gemini.generationConfig.responseSchema.additionalProperties, undefined);
+});
+
+test('unparseable responses are reported with the raw text', () => {
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ topTerms: ['swimwear sale'] }),
+        routes: routes({ openai: providers.openai.success('Sure! ```json {"category": "COMMERCIAL"``` ') })
+    });
+    run.main();
+
+    const [, row] = run.sheet('Results');
+    assert.equal(row[1], 'ERROR');
+    assert.match(row[5], /Could not parse response as JSON .*Raw text: Sure! ```json/);
+});
+
+test('source "ads" classifies search terms straight from Google Ads with their metrics', () => {
+    const row = (term, campaign, clicks, costMicros, conversions, value) =>
+        searchTermRow({ term, campaign, impressions: clicks * 10, clicks, costMicros, conversions, value });
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ source: 'ads', topTerms: [], minClicks: 5, campaignExcludes: 'Brand', dateRange: '2025-05-01, 2025-05-31' }),
+        reports: [{
+            match: 'FROM search_term_view',
+            rows: [
+                row('swim shop near me', 'Search - Local', 4, 8000000, 0, 0),
+                row('swimwear sale', 'Search - Swimwear', 10, 20000000, 1, 100),
+                row('swimwear sale', 'Search - Sale', 10, 30000000, 1, 150),
+                row('what is chlorine resistance', 'Search - Swimwear', 2, 1000000, 0, 0)
+            ]
+        }],
+        routes: routes()
+    });
+    run.main();
+
+    const query = run.adsApp.queries[0];
+    assert.match(query, /segments\.date BETWEEN "2025-05-01" AND "2025-05-31"/);
+    assert.match(query, /campaign\.name NOT LIKE "%Brand%"/);
+
+    const [headers, ...rows] = run.sheet('Results');
+    assert.deepEqual(headers.slice(0, 8), ['Search Term', 'Category', 'Confidence', 'Cost', 'Clicks', 'Conversions', 'CPA', 'ROAS']);
+    assert.deepEqual(rows.map(r => r.slice(0, 8)), [
+        ['swimwear sale', 'COMMERCIAL', 0.8, 50, 20, 2, 25, 5]
+    ], 'totals across campaigns, terms under minClicks dropped');
+});
+
+test('negatives mode proposes costly non-converting informational terms, apply_negatives adds the approved ones', () => {
+    const row = (term, campaign, costMicros, conversions) => searchTermRow({ term, campaign, costMicros, conversions });
+    const reports = [{
+        match: 'FROM search_term_view',
+        rows: [
+            row('what is chlorine resistance', 'Search - Swimwear', 12000000, 0),
+            row('what is chlorine resistance', 'Search - Sale', 3000000, 0),
+            row('how to swim', 'Search - Swimwear', 2000000, 0),
+            row('swimwear sale', 'Search - Sale', 50000000, 0)
+        ]
+    }];
+    const results = [
+        ['Search Term', 'Category', 'Confidence', 'Duration (sec)', 'Error'],
+        ['what is chlorine resistance', 'INFORMATIONAL', 0.9, '', ''],
+        ['how to swim', 'QUESTION', 0.9, '', ''],
+        ['swimwear sale', 'COMMERCIAL', 0.9, '', '']
+    ];
+
+    const propose = loadScript(SCRIPT, { namedRanges: settings({ mode: 'negatives' }), sheets: { Results: results }, reports });
+    propose.main();
+
+    const [headers, ...proposed] = propose.sheet('Proposed Negatives');
+    assert.equal(headers[0], 'Approve');
+    assert.deepEqual(proposed.map(r => r.slice(0, 7)), [
+        [false, 'what is chlorine resistance', 'what is chlorine resistance', 'EXACT', 'Campaign', 'Search - Swimwear', 'INFORMATIONAL'],
+        [false, 'what is chlorine resistance', 'what is chlorine resistance', 'EXACT', 'Campaign', 'Search - Sale', 'INFORMATIONAL']
+    ], 'one row per campaign, cheap and commercial terms left alone');
+    assert.equal(propose.urlFetchApp.requests.length, 0);
+
+    proposed[0][0] = true;
+    const apply = loadScript(SCRIPT, {
+        namedRanges: settings({ mode: 'apply_negatives' }),
+        sheets: { 'Proposed Negatives': [headers, ...proposed] },
+        campaigns: ['Search - Swimwear', 'Search - Sale']
+    });
+    apply.main();
+
+    const [swimwear, sale] = apply.adsApp.campaignEntities;
+    assert.deepEqual(swimwear.negatives, ['[what is chlorine resistance]']);
+    assert.deepEqual(sale.negatives, [], 'unapproved rows are not added');
+    assert.deepEqual(apply.sheet('Proposed Negatives').slice(1).map(r => r[11]), ['Added', '']);
+    assert.deepEqual(apply.sheet('Negatives Log')[1].slice(1), ['Added', '[what is chlorine resistance]', 'Campaign', 'Search - Swimwear']);
+});
+
+test('apply_negatives in preview only logs approved shared list negatives', () => {
+    const proposed = [
+        ['Approve', 'Search Term', 'Negative Keyword', 'Match Type', 'Level', 'Target', 'Category', 'Confidence', 'Term Cost', 'Clicks', 'Conversions', 'Status', 'Applied At'],
+        [true, 'how to swim', 'how to swim', 'PHRASE', 'Shared List', 'Research Terms', 'QUESTION', 0.9, 20, 10, 0, '', '']
+    ];
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ mode: 'apply_negatives', negativesPreview: true }),
+        sheets: { 'Proposed Negatives': proposed },
+        negativeKeywordLists: ['Research Terms']
+    });
+    run.main();
+
+    assert.deepEqual(run.adsApp.listEntities[0].negatives, []);
+    assert.equal(run.sheet('Proposed Negatives')[1][11], 'Preview');
+    assert.ok(run.logs.includes('Would add "how to swim" to shared list "Research Terms"'));
+});
+
+test('estimates the cost for every model up front and records actual spend in the Cost Ledger', () => {
+    const run = loadScript(SCRIPT, { namedRanges: settings(), routes: routes() });
+    run.main();
+
+    assert.ok(run.logs.includes('Estimated cost for 3 terms:'));
+    assert.equal(run.logs.filter(line => / (standard|cheap) \(.*\): ~\d+ input, ~90 output tokens, \$/.test(line)).length, 6);
+    assert.ok(run.logs.some(line => line.startsWith('* OpenAI cheap (gpt-4.1-nano')));
+
+    const [headers, row] = run.sheet('Cost Ledger');
+    assert.deepEqual(headers.slice(0, 4), ['Date', 'Account', 'Model', 'Terms']);
+    assert.deepEqual(row.slice(1, 4), ['Test Account', 'gpt-4.1-nano-2025-04-14', 3]);
+    assert.ok(row[6] > 0);
+});
+
+test('max_spend_usd stops a run that would cost more before any call is made', () => {
+    const run = loadScript(SCRIPT, { namedRanges: settings({ cheap: false, max_spend_usd: 0.00001 }), routes: routes() });
+    run.main();
+
+    assert.equal(run.urlFetchApp.requests.length, 0);
+    assert.match(run.sheet('Logs')[1][2], /is over max_spend_usd \(\$0\.00001\) - not starting/);
+    assert.equal(run.sheet('Results'), null);
+});
+
+test('a Providers tab registers OpenAI-compatible endpoints picked by name, not by model id', () => {
+    const providersTab = [
+        ['Provider', 'Label', 'API', 'Base URL', 'Auth', 'Tier', 'Model', 'Input Cost', 'Output Cost', 'Concurrency'],
+        ['azure', 'Azure OpenAI', 'openai', 'https://acme.openai.azure.com/openai/deployments/nano?api-version=2024-10-21', 'api-key', '', 'nano-deployment', 0.1, 0.4, 2],
+        ['local', 'Local Llama', 'openai', 'http://localhost:8080/v1', 'none', '', 'llama-3.1-8b', 0, 0, 1]
+    ];
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ model: 'azure', key_azure: 'azure-key' }),
+        sheets: { Providers: providersTab },
+        routes: [{ match: 'acme.openai.azure.com', respond: classifier('openai') }]
+    });
+    run.main();
+
+    const [request] = run.urlFetchApp.requests;
+    assert.equal(request.url, 'https://acme.openai.azure.com/openai/deployments/nano/chat/completions?api-version=2024-10-21');
+    assert.deepEqual({ ...request.headers }, { 'api-key': 'azure-key' });
+    assert.equal(request.json.model, 'nano-deployment');
+    assert.deepEqual(run.sheet('Results').slice(1).map(r => r[1]), Object.values(LABELS));
+    assert.equal(run.sheet('Cost Ledger')[1][2], 'nano-deployment');
+
+    const local = loadScript(SCRIPT, {
+        namedRanges: settings({ model: 'local' }),
+        sheets: { Providers: providersTab },
+        routes: [{ match: 'localhost:8080', respond: classifier('openai') }]
+    });
+    local.main();
+    assert.deepEqual({ ...local.urlFetchApp.requests[0].headers }, {}, 'no key needed with Auth "none"');
+    assert.equal(local.sheet('Results')[1][1], 'COMMERCIAL');
+    assert.equal(local.urlFetchApp.requests[0].json.response_format.type, 'json_schema', 'structured output by default');
+});
+
+test('Structured Output turns json_schema off for OpenAI-compatible servers that reject it', () => {
+    const providersTab = [
+        ['Provider', 'Label', 'API', 'Base URL', 'Auth', 'Tier', 'Model', 'Input Cost', 'Output Cost', 'Concurrency', 'Structured Output'],
+        ['azure', 'Azure OpenAI', 'openai', 'https://acme.openai.azure.com/openai/deployments/nano?api-version=2023-05-15', 'api-key', '', 'nano', 0.1, 0.4, 2, 'json_object'],
+        ['local', 'Local Llama', 'openai', 'http://localhost:8080/v1', 'none', '', 'llama-3.1-8b', 0, 0, 1, 'none']
+    ];
+    const azure = loadScript(SCRIPT, {
+        namedRanges: settings({ model: 'azure', key_azure: 'azure-key' }),
+        sheets: { Providers: providersTab },
+        routes: [{ match: 'acme.openai.azure.com', respond: classifier('openai') }]
+    });
+    azure.main();
+    assert.deepEqual({ ...azure.urlFetchApp.requests[0].json.response_format }, { type: 'json_object' });
+
+    const fenced = request => {
+        const answer = classifier('openai')(request);
+        answer.body.choices[0].message.content = '```json\n' + answer.body.choices[0].message.content + '\n```';
+        return answer;
+    };
+    const local = loadScript(SCRIPT, {
+        namedRanges: settings({ model: 'local' }),
+        sheets: { Providers: providersTab },
+        routes: [{ match: 'localhost:8080', respond: fenced }]
+    });
+    local.main();
+    assert.equal(local.urlFetchApp.requests[0].json.response_format, undefined);
+    assert.deepEqual(local.sheet('Results').slice(1).map(r => r[1]), Object.values(LABELS));
+});
+
+test('mcc classifies each term once across client accounts and rolls results up per account', () => {
+    const row = (term, costMicros) => searchTermRow({ term, costMicros });
+    const reports = rows => [{ match: 'FROM search_term_view', rows }];
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ source: 'ads', mcc: true, topTerms: [], accountIds: '111-111-1111, 222-222-2222, 333-333-3333' }),
+        accounts: [
+            { customerId: '111-111-1111', name: 'Acme', reports: reports([row('swimwear sale', 20000000), row('swim shop near me', 5000000)]) },
+            { customerId: '222-222-2222', name: 'Beta', reports: reports([row('swimwear sale', 8000000)]) },
+            { customerId: '333-333-3333', name: 'Broken', error: 'Not authorized' }
+        ],
+        routes: routes()
+    });
+    run.main();
+
+    const [request] = run.urlFetchApp.requests;
+    assert.equal(run.urlFetchApp.requests.length, 1);
+    assert.equal([...request.json.messages[0].content.matchAll(/^\s*- "(.*)"$/gm)].length, 2, 'swimwear sale is sent once');
+
+    const [headers, ...rows] = run.sheet('Results');
+    assert.deepEqual(headers.slice(0, 5), ['Account', 'Search Term', 'Category', 'Confidence', 'Cost']);
+    assert.deepEqual(rows.map(r => r.slice(0, 5)), [
+        ['Acme', 'swimwear sale', 'COMMERCIAL', 0.9, 20],
+        ['Beta', 'swimwear sale', 'COMMERCIAL', 0.9, 8],
+        ['Acme', 'swim shop near me', 'LOCAL', 0.9, 5]
+    ]);
+
+    const [summaryHeaders, acme, beta, broken, total] = run.sheet('Classification Accounts');
+    const column = name => summaryHeaders.indexOf(name);
+    assert.deepEqual([acme[column('Search Terms')], acme[column('Cost')], acme[column('COMMERCIAL')], acme[column('LOCAL')]], [2, 25, 1, 1]);
+    assert.equal(beta[column('Status')], 'OK');
+    assert.deepEqual([broken[column('Status')], broken[column('Error')]], ['ERROR', 'Error: Not authorized']);
+    assert.deepEqual(total.slice(0, 5), ['Total', '', '2 of 3 OK', 3, 33]);
+});
+
+test('mcc reports the account errors when no account could be read', () => {
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ source: 'ads', mcc: true, topTerms: [], accountIds: '111-111-1111, 222-222-2222' }),
+        accounts: [
+            { customerId: '111-111-1111', name: 'Acme', error: 'Not authorized' },
+            { customerId: '222-222-2222', name: 'Beta', error: 'Quota exceeded' }
+        ],
+        routes: routes()
+    });
+    run.main();
+
+    assert.equal(run.urlFetchApp.requests.length, 0);
+    assert.ok(run.logs.includes('Error: Error: No search terms found - 2 of 2 accounts failed: '
+        + 'Acme (111-111-1111): Error: Not authorized; Beta (222-222-2222): Error: Quota exceeded'));
+});
+
+test('source "ads" runs end with a Category Summary per category and campaign, with charts', () => {
+    const row = (term, campaign, costMicros, conversions, value) => searchTermRow({ term, campaign, costMicros, conversions, value });
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ source: 'ads', topTerms: [] }),
+        reports: [{
+            match: 'FROM search_term_view',
+            rows: [
+                row('swimwear sale', 'Search - Swimwear', 30000000, 3, 300),
+                row('swimwear sale', 'Search - Sale', 10000000, 1, 100),
+                row('what is chlorine resistance', 'Search - Swimwear', 10000000, 0, 0)
+            ]
+        }],
+        routes: routes()
+    });
+    run.main();
+
+    const summary = run.sheet('Category Summary');
+    assert.deepEqual(summary[1].slice(0, 7), ['Category', 'Terms', 'Cost', 'Share of Spend', 'Conversions', 'CPA', 'ROAS']);
+    assert.deepEqual(summary[2].slice(0, 7), ['COMMERCIAL', 1, 40, 0.8, 4, 10, 10]);
+    assert.deepEqual(summary[3].slice(0, 7), ['INFORMATIONAL', 1, 10, 0.2, 0, 0, 0]);
+    assert.deepEqual(summary[4].slice(0, 3), ['Total', 2, 50]);
+
+    const campaignRows = summary.slice(summary.findIndex(r => r[0] === 'Campaign') + 1).map(r => r.slice(0, 5));
+    assert.deepEqual(campaignRows, [
+        ['Search - Swimwear', 'COMMERCIAL', 1, 30, 0.75],
+        ['Search - Swimwear', 'INFORMATIONAL', 1, 10, 0.25],
+        ['Search - Sale', 'COMMERCIAL', 1, 10, 1]
+    ]);
+
+    const charts = run.spreadsheet.getSheetByName('Category Summary').charts;
+    assert.deepEqual(charts.map(c => [c.type, c.options.title]), [['PIE', 'Spend by Category'], ['COLUMN', 'ROAS by Category']]);
+    assert.deepEqual(charts[0].ranges[1], { row: 2, column: 3, numRows: 3, numColumns: 1 });
+
+    run.spreadsheet.getSheetByName('State').clear();
+    run.main();
+    assert.equal(run.spreadsheet.getSheetByName('Category Summary').charts.length, 2, 'charts are rebuilt, not stacked');
+});
+
+test('low-confidence results are queued for review and reviewed labels replace the model', () => {
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ reviewThreshold: 0.85 }),
+        routes: routes({
+            openai: request => {
+                const answer = classifier('openai')(request);
+                const body = JSON.parse(answer.body.choices[0].message.content);
+                body.results.filter(r => r.term === 'swim shop near me').forEach(r => { r.confidence = 0.4; });
+                answer.body.choices[0].message.content = JSON.stringify(body);
+                return answer;
+            }
+        })
+    });
+    run.main();
+
+    const review = run.spreadsheet.getSheetByName('Review');
+    const [headers, queued] = review.toValues();
+    assert.deepEqual(headers, ['Search Term', 'Model Category', 'Confidence', 'Error', 'Queued At', 'Reviewed Category']);
+    assert.deepEqual(queued.slice(0, 4), ['swim shop near me', 'LOCAL', 0.4, '']);
+    const validation = review.formats.find(f => f.method === 'setDataValidation');
+    assert.deepEqual([validation.column, validation.args[0].list], [6, ['INFORMATIONAL', 'NAVIGATIONAL', 'COMMERCIAL', 'LOCAL', 'QUESTION']]);
+
+    // The analyst picks a label, and the next run takes it without asking a model
+    review.getRange(2, 6).setValue('navigational');
+    run.spreadsheet.getSheetByName('State').clear();
+    run.spreadsheet.getSheetByName('Cache').clear();
+    const sent = run.urlFetchApp.requests.length;
+    run.main();
+
+    const prompt = run.urlFetchApp.requests[sent].json.messages[0].content;
+    assert.doesNotMatch(prompt, /swim shop near me/);
+    const [resultHeaders, ...rows] = run.sheet('Results');
+    const shop = rows.find(r => r[0] === 'swim shop near me');
+    assert.deepEqual([shop[1], shop[2], shop[resultHeaders.indexOf('Source')]], ['NAVIGATIONAL', 1, 'human']);
+    assert.equal(rows.find(r => r[0] === 'swimwear sale')[resultHeaders.indexOf('Source')], 'model');
+    assert.equal(review.getLastRow(), 2, 'reviewed terms are not queued again');
+});
+
+test('every run is added to History and the Drift tab shows what changed since the previous run', () => {
+    const row = (term, costMicros) => searchTermRow({ term, costMicros });
+    let labels = LABELS;
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ source: 'ads', topTerms: [], cacheMaxAgeDays: 0 }),
+        reports: [{ match: 'FROM search_term_view', rows: [row('swimwear sale', 30000000), row('what is chlorine resistance', 10000000)] }],
+        routes: routes({ openai: request => classifier('openai', labels)(request) })
+    });
+    run.main();
+    assert.ok(run.logs.includes('No previous run in History to compare with'));
+
+    labels = { ...LABELS, 'swimwear sale': 'INFORMATIONAL' };
+    run.clock.advance(24 * 60 * 60 * 1000);
+    run.spreadsheet.getSheetByName('State').clear();
+    run.main();
+
+    const history = run.sheet('History');
+    assert.deepEqual(history[0], ['Run Started', 'Date', 'Search Term', 'Model', 'Prompt Version', 'Category', 'Confidence', 'Source', 'Cost']);
+    assert.deepEqual(history.slice(1).map(r => [r[2], r[5], r[8]]), [
+        ['swimwear sale', 'COMMERCIAL', 30], ['what is chlorine resistance', 'INFORMATIONAL', 10],
+        ['swimwear sale', 'INFORMATIONAL', 30], ['what is chlorine resistance', 'INFORMATIONAL', 10]
+    ]);
+
+    const drift = run.sheet('Drift');
+    const distribution = drift.slice(7, 9);
+    assert.deepEqual(distribution, [
+        ['COMMERCIAL', 1, 0, -1, 0.75, 0, -0.75],
+        ['INFORMATIONAL', 1, 2, 1, 0.25, 1, 0.75]
+    ]);
+    assert.deepEqual(drift.slice(-1)[0].slice(0, 4), ['swimwear sale', 'COMMERCIAL', 'INFORMATIONAL', 30]);
+    assert.ok(run.logs.includes('Drift: COMMERCIAL share of spend went from 75.0% to 0.0%'));
+});
+
+test('the most similar labelled examples and account guidance are added to the prompt', () => {
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ topTerms: ['swimwear sale'], fewShotExamples: 2, accountGuidance: 'Brand terms are NAVIGATIONAL.' }),
+        sheets: {
+            Examples: [
+                ['Search Term', 'Category'],
+                ['kids swimwear sale', 'COMMERCIAL'],
+                ['swimwear', 'NAVIGATIONAL'],
+                ['pool opening hours', 'LOCAL'],
+                ['swimwear sizing guide', 'informational'],
+                ['goggles', 'NOT A LABEL']
+            ]
+        },
+        routes: routes()
+    });
+    run.main();
+
+    const prompt = run.urlFetchApp.requests[0].json.messages[0].content;
+    assert.match(prompt, /Account guidance:\n\s*Brand terms are NAVIGATIONAL\./);
+    assert.match(prompt, /Labelled examples:\n\s*- "kids swimwear sale": COMMERCIAL\n\s*- "swimwear": NAVIGATIONAL\n/);
+    assert.doesNotMatch(prompt, /pool opening hours|sizing guide/);
+    assert.ok(run.logs.some(line => line.startsWith('Ignoring example "goggles"')));
+    assert.ok(run.logs.some(line => /^Prompts - Sent: 1, Average: \d+ chars \(~\d+ tokens\), Largest: \d+ chars$/.test(line)));
+});
+
+test('promptVersion picks a template from the Prompts tab and History records it', () => {
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ promptVersion: 'short' }),
+        sheets: {
+            Prompts: [
+                ['Version', 'Template', 'Notes'],
+                ['short', 'Label these Google Ads search terms.\n{categories}\n{terms}', 'no examples']
+            ]
+        },
+        routes: routes()
+    });
+    run.main();
+
+    const prompt = run.urlFetchApp.requests[0].json.messages[0].content;
+    assert.match(prompt, /^Label these Google Ads search terms\.\nCategory:\n  - INFORMATIONAL/);
+    assert.match(prompt, /- "swimwear sale"\n[\s\S]*\n\nRespond with ONLY a JSON object with one result per search term/);
+    assert.deepEqual(run.sheet('Results').slice(1).map(r => r[1]), Object.values(LABELS));
+    assert.match(run.sheet('History')[1][4], /^short \(\S+\)$/);
+
+    const missing = loadScript(SCRIPT, { namedRanges: settings({ promptVersion: 'long' }), routes: routes() });
+    missing.main();
+    assert.ok(missing.logs.some(line => line.includes('Invalid prompt version: long - use one of built-in')));
+});
+
+test('compare_prompts runs two prompt versions on the same terms and reports agreement, shift and cost', () => {
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ mode: 'compare_prompts', comparePromptVersion: 'strict' }),
+        sheets: {
+            Prompts: [
+                ['Version', 'Template', 'Notes'],
+                ['strict', 'Be strict.\n{categories}\n{terms}\n{format}', '']
+            ]
+        },
+        routes: routes({
+            openai: request => classifier('openai', /^Be strict/.test(request.json.messages[0].content)
+                ? { ...LABELS, 'swim shop near me': 'COMMERCIAL' }
+                : LABELS)(request)
+        })
+    });
+    run.main();
+
+    assert.equal(run.urlFetchApp.requests.length, 2);
+    const sheet = run.sheet('Prompt Comparison');
+    assert.deepEqual(sheet[1].slice(0, 5), ['Prompt Version', 'Terms', 'Input Tokens', 'Output Tokens', 'Cost ($)']);
+    assert.deepEqual(sheet.slice(2, 4).map(r => r.slice(0, 2)), [['built-in', 3], ['strict', 3]]);
+    assert.equal(sheet.find(r => r[0] === 'Agreement')[1], 2 / 3);
+    const local = sheet.find(r => r[0] === 'LOCAL');
+    assert.deepEqual(local.slice(1), [1, 1 / 3, 0, 0, -1 / 3]);
+    assert.deepEqual(sheet.find(r => r[0] === 'swim shop near me').slice(0, 4), ['swim shop near me', 'LOCAL', 'COMMERCIAL', false]);
+    assert.equal(run.sheet('Results'), null, 'a comparison leaves Results alone');
+    assert.deepEqual(run.sheet('Cost Ledger').slice(1).map(r => [r[2], r[6]]), [
+        ['gpt-4.1-nano-2025-04-14', sheet[2][4]],
+        ['gpt-4.1-nano-2025-04-14', sheet[3][4]]
+    ]);
+
+    const capped = loadScript(SCRIPT, {
+        namedRanges: settings({ mode: 'compare_prompts', comparePromptVersion: 'strict', max_spend_usd: 0.00001 }),
+        sheets: { Prompts: [['Version', 'Template', 'Notes'], ['strict', 'Be strict.\n{categories}\n{terms}', '']] },
+        routes: routes()
+    });
+    capped.main();
+    assert.equal(capped.urlFetchApp.requests.length, 0);
+    assert.ok(capped.logs.some(line => line.includes('is over max_spend_usd ($0.00001) - not starting')));
+});
+
+test('compare_prompts stops before the second version when the first one used up max_spend_usd', () => {
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ mode: 'compare_prompts', comparePromptVersion: 'strict', max_spend_usd: 0.01 }),
+        sheets: { Prompts: [['Version', 'Template', 'Notes'], ['strict', 'Be strict.\n{categories}\n{terms}', '']] },
+        routes: routes({
+            openai: request => {
+                const response = classifier('openai')(request);
+                response.body.usage.prompt_tokens = 1000000;
+                return response;
+            }
+        })
+    });
+    run.main();
+
+    assert.equal(run.urlFetchApp.requests.length, 1);
+    assert.ok(run.logs.includes('Stopping before prompt strict - it would go over max_spend_usd ($0.01)'));
+    assert.ok(run.logs.includes('Only prompt built-in ran - nothing written to the Prompt Comparison tab'));
+    assert.equal(run.sheet('Prompt Comparison'), null);
+    assert.equal(run.sheet('Cost Ledger').length, 2, 'the version that ran is still in the ledger');
+});
+
+test('terms matched by the Rules tab are labelled without a model and the calls saved are logged', () => {
+    const run = loadScript(SCRIPT, {
+        namedRanges: settings({ topTerms: [...Object.keys(LABELS), 'funkitta swimsuit', 'speedo goggles', 'whatever swim'] }),
+        sheets: {
+            Rules: [
+                ['Match', 'Pattern', 'Category'],
+                ['starts-with', 'what', 'QUESTION'],
+                ['fuzzy', 'funkita', 'NAVIGATIONAL'],
+                ['regex', '^speedo\\b', 'navigational'],
+                ['contains', 'near me', 'LOCAL']
+            ]
+        },
+        routes: routes({ openai: classifier('openai', { ...LABELS, 'whatever swim': 'COMMERCIAL' }) })
+    });
+    run.main();
+
+    const batch = [...run.urlFetchApp.requests[0].json.messages[0].content.matchAll(/^\s*- "(.*)"$/gm)].map(m => m[1]);
+    assert.deepEqual(batch, ['swimwear sale', 'whatever swim']);
+    const [headers, ...rows] = run.sheet('Results');
+    const source = headers.indexOf('Source');
+    assert.deepEqual(rows.map(r => [r[0], r[1], r[source]]), [
+        ['swimwear sale', 'COMMERCIAL', 'model'],
+        ['what is chlorine resistance', 'QUESTION', 'rule'],
+        ['swim shop near me', 'LOCAL', 'rule'],
+        ['funkitta swimsuit', 'NAVIGATIONAL', 'rule'],
+        ['speedo goggles', 'NAVIGATIONAL', 'rule'],
+        ['whatever swim', 'COMMERCIAL', 'model']
+    ]);
+    assert.ok(run.logs.includes('Saved by rules: 4 terms, ~1 API calls'));
+});
+
+test('keywords mode proposes converting terms that are not exact keywords yet, apply_keywords adds the approved ones', () => {
+    const row = (term, adGroup, conversions, value) =>
+        searchTermRow({ term, campaign: 'Search - Swimwear', adGroup, costMicros: 20000000, conversions, value });
+    const keyword = (text, matchType) => ({ 'ad_group_criterion.keyword.text': text, 'ad_group_criterion.keyword.match_type': matchType });
+    const reports = [
+        {
+            match: 'FROM search_term_view',
+            rows: [
+                row('kids swimwear sale', 'Swimwear', 1, 40),
+                row('kids swimwear sale', 'Kids', 3, 150),
+                row('swimwear sale', 'Swimwear', 5, 300),
+                row('swim shop near me', 'Local', 2, 100),
+                row('what is chlorine resistance', 'Swimwear', 1, 50),
+                row('swimwear brands', 'Swimwear', 0, 0)
+            ]
+        },
+        { match: 'FROM ad_group_criterion', rows: [keyword('swimwear sale', 'EXACT'), keyword('Kids Swimwear Sale', 'PHRASE')] }
+    ];
+    const results = [
+        ['Search Term', 'Category', 'Confidence', 'Source', 'Duration (sec)', 'Error'],
+        ['kids swimwear sale', 'COMMERCIAL', 0.9, 'model', '', ''],
+        ['swimwear sale', 'COMMERCIAL', 0.9, 'model', '', ''],
+        ['swim shop near me', 'LOCAL', 0.8, 'model', '', ''],
+        ['what is chlorine resistance', 'INFORMATIONAL', 0.9, 'model', '', ''],
+        ['swimwear brands', 'COMMERCIAL', 0.9, 'model', '', '']
+    ];
+
+    const propose = loadScript(SCRIPT, { namedRanges: settings({ mode: 'keywords' }), sheets: { Results: results }, reports });
+    propose.main();
+
+    assert.match(propose.adsApp.queries.find(q => q.includes('FROM search_term_view')), /campaign\.name,\n\s+ad_group\.name,/);
+    const [headers, ...proposed] = propose.sheet('Keyword Opportunities');
+    assert.deepEqual(headers.slice(0, 9), ['Approve', 'Search Term', 'Keyword', 'Match Type', 'Campaign', 'Ad Group', 'Category', 'Confidence', 'Existing Match Types']);
+    assert.deepEqual(proposed.map(r => [r[1], r[3], r[5], r[8], r[11], r[13]]), [
+        ['kids swimwear sale', 'EXACT', 'Kids', 'PHRASE', 4, 4.75],
+        ['swim shop near me', 'EXACT', 'Local', '', 2, 5]
+    ], 'exact keywords, other categories and non-converting terms are left out');
+
+    proposed[0][0] = true;
+    proposed[1][0] = true;
+    const apply = loadScript(SCRIPT, {
+        namedRanges: settings({ mode: 'apply_keywords' }),
+        sheets: { 'Keyword Opportunities': [headers, ...proposed] },
+        adGroups: [
+            { campaign: 'Search - Swimwear', name: 'Kids' },
+            { campaign: 'Search - Swimwear', name: 'Local', rejects: ['[swim shop near me]'] }
+        ]
+    });
+    apply.main();
+
+    assert.deepEqual(apply.adsApp.adGroupEntities.map(a => a.keywords), [['[kids swimwear sale]'], []]);
+    assert.deepEqual(apply.sheet('Keyword Opportunities').slice(1).map(r => r[14]), ['Added', 'Error: Keyword rejected: [swim shop near me]']);
+    assert.deepEqual(apply.sheet('Keywords Log')[1].slice(1), ['Added', '[kids swimwear sale]', 'Search - Swimwear', 'Kids']);
+
+    const preview = loadScript(SCRIPT, {
+        namedRanges: settings({ mode: 'apply_keywords', keywordsPreview: true }),
+        sheets: { 'Keyword Opportunities': [headers, proposed[0]] },
+        adGroups: [{ campaign: 'Search - Swimwear', name: 'Kids' }]
+    });
+    preview.main();
+    assert.deepEqual(preview.adsApp.adGroupEntities[0].keywords, []);
+    assert.ok(preview.logs.includes('Would add [kids swimwear sale] to "Search - Swimwear" > "Kids"'));
+});
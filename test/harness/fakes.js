@@ -0,0 +1,486 @@
+// In-memory fakes for the Apps Script globals our Google Ads scripts use.
+// Only the methods the scripts actually call are implemented - add more as scripts need them.
+
+const crypto = require('crypto');
+
+// A clock the fakes share, so Utilities.sleep() advances Date.now() instead of really waiting
+function createClock(start = Date.now()) {
+    let offset = start - Date.now();
+
+    class FakeDate extends Date {
+        constructor(...args) {
+            if (args.length) super(...args);
+            else super(Date.now() + offset);
+        }
+
+        static now() {
+            return Date.now() + offset;
+        }
+    }
+
+    return {
+        Date: FakeDate,
+        advance(ms) { offset += ms; },
+        now() { return Date.now() + offset; }
+    };
+}
+
+function createLogger() {
+    const lines = [];
+    return {
+        lines,
+        log(message, ...args) {
+            let text = String(message);
+            args.forEach(arg => { text = text.replace(/%s/, String(arg)); });
+            lines.push(text);
+        }
+    };
+}
+
+// ---- Sheets ----
+
+function createRange(sheet, row, column, numRows = 1, numColumns = 1) {
+    const range = {
+        getRow: () => row,
+        getColumn: () => column,
+        getNumRows: () => numRows,
+        getNumColumns: () => numColumns,
+        getSheet: () => sheet,
+        getValues() {
+            const values = [];
+            for (let r = 0; r < numRows; r++) {
+                const line = [];
+                for (let c = 0; c < numColumns; c++) line.push(sheet.cell(row + r, column + c));
+                values.push(line);
+            }
+            return values;
+        },
+        getValue: () => sheet.cell(row, column),
+        setValues(values) {
+            if (values.length !== numRows || values.some(line => line.length !== numColumns)) {
+                throw new Error(`The number of rows or columns in the data does not match the range (${numRows}x${numColumns})`);
+            }
+            values.forEach((line, r) => line.forEach((value, c) => sheet.setCell(row + r, column + c, value)));
+            return range;
+        },
+        setValue(value) {
+            sheet.setCell(row, column, value);
+            return range;
+        },
+        clear() {
+            for (let r = 0; r < numRows; r++) {
+                for (let c = 0; c < numColumns; c++) sheet.setCell(row + r, column + c, '');
+            }
+            return range;
+        }
+    };
+
+    // Formatting is recorded but otherwise ignored
+    ['setFontWeight', 'setBackground', 'setNumberFormat', 'setFontColor', 'setHorizontalAlignment',
+        'setDataValidation', 'insertCheckboxes'].forEach(method => {
+        range[method] = (...args) => {
+            sheet.formats.push({ method, row, column, numRows, numColumns, args });
+            return range;
+        };
+    });
+
+    return range;
+}
+
+// Builds a plain record of the chart: { type, ranges: [{ row, column, numRows, numColumns }], position, options }
+function createChartBuilder() {
+    const chart = { type: null, ranges: [], position: null, options: {} };
+    const builder = {
+        setChartType(type) {
+            chart.type = type;
+            return builder;
+        },
+        addRange(range) {
+            chart.ranges.push({ row: range.getRow(), column: range.getColumn(), numRows: range.getNumRows(), numColumns: range.getNumColumns() });
+            return builder;
+        },
+        setPosition(row, column, offsetX, offsetY) {
+            chart.position = { row, column, offsetX, offsetY };
+            return builder;
+        },
+        setOption(option, value) {
+            chart.options[option] = value;
+            return builder;
+        },
+        build: () => chart
+    };
+    return builder;
+}
+
+const Charts = { ChartType: { AREA: 'AREA', BAR: 'BAR', COLUMN: 'COLUMN', LINE: 'LINE', PIE: 'PIE', SCATTER: 'SCATTER', TABLE: 'TABLE' } };
+
+function createSheet(name, values = []) {
+    const rows = values.map(line => [...line]);
+
+    const sheet = {
+        formats: [],
+        charts: [],
+        getName: () => name,
+        cell: (row, column) => (rows[row - 1] && rows[row - 1][column - 1] !== undefined ? rows[row - 1][column - 1] : ''),
+        setCell(row, column, value) {
+            while (rows.length < row) rows.push([]);
+            rows[row - 1][column - 1] = value;
+        },
+        getRange: (row, column, numRows, numColumns) => createRange(sheet, row, column, numRows, numColumns),
+        getDataRange: () => createRange(sheet, 1, 1, Math.max(sheet.getLastRow(), 1), Math.max(sheet.getLastColumn(), 1)),
+        getLastRow() {
+            for (let r = rows.length; r > 0; r--) {
+                if ((rows[r - 1] || []).some(value => value !== '' && value !== undefined)) return r;
+            }
+            return 0;
+        },
+        getLastColumn() {
+            return rows.reduce((max, line) => {
+                for (let c = line.length; c > 0; c--) {
+                    if (line[c - 1] !== '' && line[c - 1] !== undefined) return Math.max(max, c);
+                }
+                return max;
+            }, 0);
+        },
+        appendRow(line) {
+            rows.splice(sheet.getLastRow(), 0, [...line]);
+            return sheet;
+        },
+        clear() {
+            rows.length = 0;
+            return sheet;
+        },
+        autoResizeColumns: () => sheet,
+        setFrozenRows: () => sheet,
+        newChart: () => createChartBuilder(),
+        insertChart(chart) {
+            sheet.charts.push(chart);
+        },
+        removeChart(chart) {
+            sheet.charts.splice(sheet.charts.indexOf(chart), 1);
+        },
+        getCharts: () => [...sheet.charts],
+        // Plain values, trimmed to the used area - handy for assertions
+        toValues() {
+            const width = sheet.getLastColumn();
+            return rows.slice(0, sheet.getLastRow()).map(line =>
+                Array.from({ length: width }, (_, c) => (line[c] === undefined ? '' : line[c])));
+        }
+    };
+
+    return sheet;
+}
+
+// namedRanges: { name: value | [value, ...] | [[...], ...] } - a flat array becomes a single column
+function createSpreadsheet({ namedRanges = {}, sheets = {}, url = 'https://docs.google.com/spreadsheets/d/fake/edit' } = {}) {
+    const tabs = {};
+    Object.entries(sheets).forEach(([name, values]) => { tabs[name] = createSheet(name, values); });
+
+    const spreadsheet = {
+        namedRanges,
+        getUrl: () => url,
+        getRangeByName(name) {
+            if (!(name in namedRanges)) return null;
+            const value = namedRanges[name];
+            const values = !Array.isArray(value) ? [[value]]
+                : value.every(Array.isArray) ? value
+                    : value.map(v => [v]);
+            const sheet = createSheet(`named:${name}`, values);
+            return sheet.getRange(1, 1, values.length, values[0] ? values[0].length : 1);
+        },
+        getSheetByName: name => tabs[name] || null,
+        getSheets: () => Object.values(tabs),
+        insertSheet(name) {
+            if (tabs[name]) throw new Error(`A sheet with the name "${name}" already exists.`);
+            tabs[name] = createSheet(name);
+            return tabs[name];
+        },
+        deleteSheet(sheet) {
+            delete tabs[sheet.getName()];
+        }
+    };
+
+    return spreadsheet;
+}
+
+function createSpreadsheetApp(spreadsheet) {
+    const created = [];
+    return {
+        created,
+        // Rules come out as plain records, eg { list: ['A', 'B'], showDropdown: true, allowInvalid: false }
+        newDataValidation() {
+            const rule = {};
+            const builder = {
+                requireValueInList(values, showDropdown = true) {
+                    Object.assign(rule, { list: [...values], showDropdown });
+                    return builder;
+                },
+                setAllowInvalid(allowInvalid) {
+                    rule.allowInvalid = allowInvalid;
+                    return builder;
+                },
+                build: () => rule
+            };
+            return builder;
+        },
+        openByUrl: () => spreadsheet,
+        openById: () => spreadsheet,
+        create(name) {
+            const sheet = createSpreadsheet({ url: `https://docs.google.com/spreadsheets/d/${name}/edit` });
+            created.push(sheet);
+            return sheet;
+        }
+    };
+}
+
+// ---- Google Ads ----
+
+function createIterator(items) {
+    let i = 0;
+    return {
+        hasNext: () => i < items.length,
+        next: () => items[i++],
+        totalNumEntities: () => items.length
+    };
+}
+
+// Selector over named entities. Understands conditions like 'campaign.name = "Search"' (or
+// 'Name = ...') and "LabelNames CONTAINS 'Client'"; other conditions are recorded and ignored.
+// On ad groups, campaign.name is checked against the ad group's campaign.
+function createSelector(entities) {
+    const conditions = [];
+    const selector = {
+        conditions,
+        withCondition(condition) {
+            conditions.push(condition);
+            return selector;
+        },
+        withIds: ids => {
+            conditions.push({ ids });
+            return selector;
+        },
+        orderBy: () => selector,
+        withLimit: () => selector,
+        get() {
+            return createIterator(entities.filter(entity => conditions.every(condition => {
+                if (condition.ids) return condition.ids.map(String).includes(String(entity.getId()));
+                const label = condition.match(/LabelNames CONTAINS ["'](.*)["']/i);
+                if (label) return (entity.labels || []).includes(label[1]);
+                const campaign = entity.getCampaign && condition.match(/campaign\.name\s*=\s*["'](.*)["']/i);
+                if (campaign) return entity.getCampaign().getName() === campaign[1];
+                const name = condition.match(/name\s*=\s*["'](.*)["']/i);
+                return !name || entity.getName() === name[1];
+            })));
+        }
+    };
+    return selector;
+}
+
+// Campaigns and shared negative keyword lists record the negatives added to them
+function createNegativeTarget(name, id, addMethod) {
+    const target = {
+        negatives: [],
+        getName: () => name,
+        getId: () => id
+    };
+    target[addMethod] = text => {
+        target.negatives.push(text);
+    };
+    return target;
+}
+
+// Ad groups record the keywords built in them. A keyword text listed in `rejects` fails to build.
+function createAdGroup({ campaign, name, rejects = [] }, id) {
+    const adGroup = {
+        keywords: [],
+        getName: () => name,
+        getId: () => id,
+        getCampaign: () => ({ getName: () => campaign }),
+        newKeywordBuilder() {
+            let text;
+            const builder = {
+                withText(value) {
+                    text = value;
+                    return builder;
+                },
+                build() {
+                    const rejected = rejects.includes(text);
+                    if (!rejected) adGroup.keywords.push(text);
+                    return {
+                        isSuccessful: () => !rejected,
+                        getErrors: () => (rejected ? [`Keyword rejected: ${text}`] : [])
+                    };
+                }
+            };
+            return builder;
+        }
+    };
+    return adGroup;
+}
+
+// reports: [{ match: 'FROM search_term_view' | /regex/, rows: [...] }] - the first match answers the query.
+// AdsApp.report() rows use flat 'resource.field' keys, AdsApp.search() rows are nested camelCase objects.
+// campaigns / negativeKeywordLists: names of the entities the selectors return.
+// adGroups: [{ campaign, name, rejects }] for AdsApp.adGroups().
+// useAccount() switches reports and account details, as AdsManagerApp.select() does.
+function createAdsApp({ reports = [], account = {}, campaigns = [], negativeKeywordLists = [], adGroups = [] } = {}) {
+    const queries = [];
+    let current = { reports, account };
+    const findRows = query => {
+        queries.push(query);
+        if (current.account.error) throw new Error(current.account.error);
+        const report = current.reports.find(r => (r.match instanceof RegExp ? r.match.test(query) : query.includes(r.match)));
+        return report ? report.rows : [];
+    };
+
+    const campaignEntities = campaigns.map((name, i) => createNegativeTarget(name, 1000 + i, 'createNegativeKeyword'));
+    const listEntities = negativeKeywordLists.map((name, i) => createNegativeTarget(name, 2000 + i, 'addNegativeKeyword'));
+    const adGroupEntities = adGroups.map((adGroup, i) => createAdGroup(adGroup, 3000 + i));
+
+    return {
+        queries,
+        campaignEntities,
+        listEntities,
+        adGroupEntities,
+        campaigns: () => createSelector(campaignEntities),
+        negativeKeywordLists: () => createSelector(listEntities),
+        adGroups: () => createSelector(adGroupEntities),
+        report: query => ({ rows: () => createIterator(findRows(query)) }),
+        search: query => createIterator(findRows(query)),
+        useAccount(client) {
+            current = { reports: client.reports || [], account: client };
+        },
+        currentAccount: () => ({
+            getCustomerId: () => current.account.customerId || '123-456-7890',
+            getName: () => current.account.name || 'Test Account',
+            getTimeZone: () => current.account.timeZone || 'Etc/UTC',
+            getCurrencyCode: () => current.account.currencyCode || 'USD'
+        })
+    };
+}
+
+// Client accounts under a manager account: [{ customerId, name, labels, reports, error }].
+// select() points the AdsApp fake at that account's reports - an account with `error` throws on every query.
+function createAdsManagerApp(adsApp, accounts = []) {
+    const entities = accounts.map(client => ({
+        labels: client.labels || [],
+        getId: () => client.customerId,
+        getCustomerId: () => client.customerId,
+        getName: () => client.name,
+        getTimeZone: () => client.timeZone || 'Etc/UTC',
+        client
+    }));
+    const selected = [];
+
+    return {
+        selected,
+        accounts: () => createSelector(entities),
+        select(account) {
+            selected.push(account.getCustomerId());
+            adsApp.useAccount(account.client);
+        }
+    };
+}
+
+// ---- HTTP ----
+
+function createResponse({ status = 200, body = '', headers = {} } = {}) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    return {
+        getResponseCode: () => status,
+        getContentText: () => text,
+        getHeaders: () => headers,
+        getAllHeaders: () => headers
+    };
+}
+
+// routes: [{ match: 'api.openai.com' | /regex/, respond: { status, body, headers } | (request) => {...} }]
+// A route's respond can also be an array, used in order (the last entry repeats) - handy for retries.
+function createUrlFetchApp(routes = []) {
+    const requests = [];
+    const counts = new Map();
+
+    const fetch = (url, options = {}) => {
+        const request = { url, ...options, json: parsePayload(options.payload) };
+        requests.push(request);
+
+        const route = routes.find(r => (r.match instanceof RegExp ? r.match.test(url) : url.includes(r.match)));
+        if (!route) throw new Error(`No recorded response for ${url}`);
+
+        let respond = route.respond;
+        if (Array.isArray(respond)) {
+            const n = counts.get(route) || 0;
+            counts.set(route, n + 1);
+            respond = respond[Math.min(n, respond.length - 1)];
+        }
+        const response = createResponse(typeof respond === 'function' ? respond(request) : respond);
+
+        if (!options.muteHttpExceptions && response.getResponseCode() >= 400) {
+            throw new Error(`Request failed for ${url} returned code ${response.getResponseCode()}`);
+        }
+        return response;
+    };
+
+    return {
+        requests,
+        fetch,
+        fetchAll: list => list.map(request => fetch(request.url, request))
+    };
+}
+
+function parsePayload(payload) {
+    if (typeof payload !== 'string') return payload;
+    try {
+        return JSON.parse(payload);
+    } catch (e) {
+        return payload;
+    }
+}
+
+// ---- Utilities ----
+
+function toSignedBytes(buffer) {
+    return [...buffer].map(b => (b > 127 ? b - 256 : b));
+}
+
+function createUtilities(clock) {
+    const sleeps = [];
+    return {
+        sleeps,
+        sleep(ms) {
+            sleeps.push(ms);
+            clock.advance(ms);
+        },
+        DigestAlgorithm: { MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256', SHA_512: 'sha512' },
+        computeDigest: (algorithm, text) => toSignedBytes(crypto.createHash(algorithm).update(String(text)).digest()),
+        base64Encode: bytes => Buffer.from(typeof bytes === 'string' ? bytes : bytes.map(b => b & 255)).toString('base64'),
+        base64EncodeWebSafe: bytes => Buffer.from(typeof bytes === 'string' ? bytes : bytes.map(b => b & 255)).toString('base64url'),
+        // Supports the pattern letters our scripts use: yyyy MM dd HH mm ss
+        formatDate(date, timeZone, pattern) {
+            const iso = new Date(date.getTime()).toISOString();
+            return pattern
+                .replace('yyyy', iso.slice(0, 4))
+                .replace('MM', iso.slice(5, 7))
+                .replace('dd', iso.slice(8, 10))
+                .replace('HH', iso.slice(11, 13))
+                .replace('mm', iso.slice(14, 16))
+                .replace('ss', iso.slice(17, 19));
+        }
+    };
+}
+
+module.exports = {
+    createClock,
+    createLogger,
+    createSheet,
+    createSpreadsheet,
+    createSpreadsheetApp,
+    createIterator,
+    createSelector,
+    Charts,
+    createAdsApp,
+    createAdsManagerApp,
+    createResponse,
+    createUrlFetchApp,
+    createUtilities
+};
@@ -0,0 +1,175 @@
+// Recorded response shapes for the three providers, as parsed by extractResponse in
+// scripts/v2/classify-with-3-models.js. Each helper returns { status, body, headers } for
+// the fake UrlFetchApp.
+
+const openai = {
+    success: (text, { inputTokens = 120, outputTokens = 20 } = {}) => ({
+        status: 200,
+        body: {
+            id: 'chatcmpl-fixture',
+            object: 'chat.completion',
+            created: 1747000000,
+            model: 'gpt-4.1-nano-2025-04-14',
+            choices: [{
+                index: 0,
+                message: { role: 'assistant', content: text, refusal: null },
+                finish_reason: 'stop'
+            }],
+            usage: {
+                prompt_tokens: inputTokens,
+                completion_tokens: outputTokens,
+                total_tokens: inputTokens + outputTokens
+            }
+        }
+    }),
+    errors: {
+        auth: {
+            status: 401,
+            body: { error: { message: 'Incorrect API key provided: sk-test. You can find your API key at https://platform.openai.com/account/api-keys.', type: 'invalid_request_error', param: null, code: 'invalid_api_key' } }
+        },
+        invalidModel: {
+            status: 404,
+            body: { error: { message: 'The model `gpt-nope` does not exist or you do not have access to it.', type: 'invalid_request_error', param: null, code: 'model_not_found' } }
+        },
+        rateLimit: {
+            status: 429,
+            headers: { 'retry-after': '2' },
+            body: { error: { message: 'Rate limit reached for gpt-4.1-nano on requests per min (RPM): Limit 500, Used 500, Requested 1. Please try again in 2s.', type: 'requests', param: null, code: 'rate_limit_exceeded' } }
+        },
+        server: {
+            status: 500,
+            body: { error: { message: 'The server had an error while processing your request. Sorry about that!', type: 'server_error', param: null, code: null } }
+        },
+        contentFilter: {
+            status: 400,
+            body: { error: { message: 'The response was filtered due to the prompt triggering content management policy.', type: 'invalid_request_error', param: 'prompt', code: 'content_filter' } }
+        },
+        // Structured outputs answer a refusal with a 200, null content and message.refusal
+        refusal: {
+            status: 200,
+            body: {
+                id: 'chatcmpl-fixture',
+                object: 'chat.completion',
+                created: 1747000000,
+                model: 'gpt-4.1-nano-2025-04-14',
+                choices: [{
+                    index: 0,
+                    message: { role: 'assistant', content: null, refusal: "I'm sorry, I can't help with that request." },
+                    finish_reason: 'content_filter'
+                }],
+                usage: { prompt_tokens: 120, completion_tokens: 12, total_tokens: 132 }
+            }
+        }
+    }
+};
+
+const anthropic = {
+    // A forced tool call - how the classifier asks Anthropic for structured output
+    toolUse: (input, { inputTokens = 120, outputTokens = 20 } = {}) => ({
+        status: 200,
+        body: {
+            id: 'msg_fixture',
+            type: 'message',
+            role: 'assistant',
+            model: 'claude-3-5-haiku-20241022',
+            content: [{ type: 'tool_use', id: 'toolu_fixture', name: 'record_classification', input }],
+            stop_reason: 'tool_use',
+            stop_sequence: null,
+            usage: { input_tokens: inputTokens, output_tokens: outputTokens }
+        }
+    }),
+    success: (text, { inputTokens = 120, outputTokens = 20 } = {}) => ({
+        status: 200,
+        body: {
+            id: 'msg_fixture',
+            type: 'message',
+            role: 'assistant',
+            model: 'claude-3-5-haiku-20241022',
+            content: [{ type: 'text', text }],
+            stop_reason: 'end_turn',
+            stop_sequence: null,
+            usage: { input_tokens: inputTokens, output_tokens: outputTokens }
+        }
+    }),
+    errors: {
+        auth: {
+            status: 401,
+            body: { type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } }
+        },
+        invalidRequest: {
+            status: 400,
+            body: { type: 'error', error: { type: 'invalid_request_error', message: 'model: claude-nope is not a valid model' } }
+        },
+        rateLimit: {
+            status: 429,
+            headers: { 'retry-after': '3' },
+            body: { type: 'error', error: { type: 'rate_limit_error', message: 'Number of request tokens has exceeded your per-minute rate limit' } }
+        },
+        overloaded: {
+            status: 529,
+            body: { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+        },
+        server: {
+            status: 500,
+            body: { type: 'error', error: { type: 'api_error', message: 'Internal server error' } }
+        },
+        // Claude declining to answer: a 200 with stop_reason "refusal" and no tool call
+        refusal: {
+            status: 200,
+            body: {
+                id: 'msg_fixture',
+                type: 'message',
+                role: 'assistant',
+                model: 'claude-3-5-haiku-20241022',
+                content: [],
+                stop_reason: 'refusal',
+                stop_sequence: null,
+                usage: { input_tokens: 120, output_tokens: 0 }
+            }
+        }
+    }
+};
+
+const gemini = {
+    success: (text, { inputTokens = 120, outputTokens = 20 } = {}) => ({
+        status: 200,
+        body: {
+            candidates: [{
+                content: { parts: [{ text }], role: 'model' },
+                finishReason: 'STOP',
+                index: 0
+            }],
+            usageMetadata: {
+                promptTokenCount: inputTokens,
+                candidatesTokenCount: outputTokens,
+                totalTokenCount: inputTokens + outputTokens
+            },
+            modelVersion: 'gemini-2.5-flash-preview-05-20'
+        }
+    }),
+    errors: {
+        auth: {
+            status: 400,
+            body: { error: { code: 400, message: 'API key not valid. Please pass a valid API key.', status: 'INVALID_ARGUMENT', details: [{ '@type': 'type.googleapis.com/google.rpc.ErrorInfo', reason: 'API_KEY_INVALID', domain: 'googleapis.com' }] } }
+        },
+        invalidModel: {
+            status: 404,
+            body: { error: { code: 404, message: 'models/gemini-nope is not found for API version v1beta, or is not supported for generateContent.', status: 'NOT_FOUND' } }
+        },
+        rateLimit: {
+            status: 429,
+            body: { error: { code: 429, message: 'Resource has been exhausted (e.g. check quota).', status: 'RESOURCE_EXHAUSTED', details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '4s' }] } }
+        },
+        overloaded: {
+            status: 503,
+            body: { error: { code: 503, message: 'The model is overloaded. Please try again later.', status: 'UNAVAILABLE' } }
+        },
+        // Gemini blocks content with a 200 and no candidate text
+        contentFilter: {
+            status: 200,
+            body: { promptFeedback: { blockReason: 'SAFETY' }, usageMetadata: { promptTokenCount: 120, totalTokenCount: 120 } }
+        }
+    }
+};
+
+module.exports = { openai, anthropic, gemini };
@@ -0,0 +1,18 @@
+// Google Ads report rows for the fake AdsApp (see createAdsApp in ../fakes.js). Metrics are strings,
+// the way AdsApp.report() returns them - pass only the fields a test cares about.
+
+// One search_term_view row - 'ad_group.name' is only included when adGroup is given
+function searchTermRow({ term = 'swimwear sale', campaign = 'Search', adGroup, impressions = 100, clicks = 10, costMicros = 10000000, conversions = 0, value = 0 } = {}) {
+    return {
+        'search_term_view.search_term': term,
+        'campaign.name': campaign,
+        ...(adGroup === undefined ? {} : { 'ad_group.name': adGroup }),
+        'metrics.impressions': String(impressions),
+        'metrics.clicks': String(clicks),
+        'metrics.cost_micros': String(costMicros),
+        'metrics.conversions': String(conversions),
+        'metrics.conversions_value': String(value)
+    };
+}
+
+module.exports = { searchTermRow };
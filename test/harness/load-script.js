@@ -0,0 +1,76 @@
+// Loads one of our Google Ads scripts into a sandbox wired up to the fakes, so main() can run under Node.
+//
+//   const { loadScript } = require('./harness/load-script');
+//   const run = loadScript('scripts/v2/classify-with-3-models.js', {
+//       namedRanges: { model: 'openai', cheap: true, topTerms: ['swimwear sale'], key_openai: 'sk-test' },
+//       routes: [{ match: 'api.openai.com', respond: providers.openai.success('{"category":"COMMERCIAL","confidence":0.9}') }]
+//   });
+//   run.main();
+//   run.sheet('Results')  // => [['Search Term', ...], ['swimwear sale', 'COMMERCIAL', ...]]
+//   run.logs              // => every Logger.log() line
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const fakes = require('./fakes');
+
+const ROOT = path.resolve(__dirname, '../..');
+
+// SHEET_URL is blank in the committed scripts - the fake SpreadsheetApp ignores the url anyway.
+// constants overrides single-line settings at the top of a script, e.g. { COMPARE_TO: 'PREVIOUS_PERIOD' }.
+// accounts makes AdsManagerApp available, with those client accounts under it.
+function loadScript(file, { namedRanges, sheets, reports, account, accounts, campaigns, negativeKeywordLists, adGroups, routes, start, constants = {}, globals = {} } = {}) {
+    const clock = fakes.createClock(start);
+    const logger = fakes.createLogger();
+    const spreadsheet = fakes.createSpreadsheet({ namedRanges, sheets });
+    const spreadsheetApp = fakes.createSpreadsheetApp(spreadsheet);
+    const adsApp = fakes.createAdsApp({ reports, account, campaigns, negativeKeywordLists, adGroups });
+    const adsManagerApp = accounts ? fakes.createAdsManagerApp(adsApp, accounts) : undefined;
+    const urlFetchApp = fakes.createUrlFetchApp(routes);
+    const utilities = fakes.createUtilities(clock);
+
+    const context = vm.createContext({
+        Date: clock.Date,
+        Logger: logger,
+        console,
+        SpreadsheetApp: spreadsheetApp,
+        AdsApp: adsApp,
+        ...(adsManagerApp ? { AdsManagerApp: adsManagerApp } : {}),
+        UrlFetchApp: urlFetchApp,
+        Utilities: utilities,
+        Charts: fakes.Charts,
+        ...globals
+    });
+
+    const filename = path.resolve(ROOT, file);
+    vm.runInContext(overrideConstants(fs.readFileSync(filename, 'utf8'), constants), context, { filename });
+
+    return {
+        context,
+        spreadsheet,
+        spreadsheetApp,
+        adsApp,
+        adsManagerApp,
+        urlFetchApp,
+        utilities,
+        clock,
+        logs: logger.lines,
+        main: () => context.main(),
+        // Evaluate an expression inside the script, e.g. a top-level const or let
+        evaluate: code => vm.runInContext(code, context),
+        sheet(name) {
+            const tab = spreadsheet.getSheetByName(name);
+            return tab ? tab.toValues() : null;
+        }
+    };
+}
+
+function overrideConstants(source, constants) {
+    return Object.entries(constants).reduce((code, [name, value]) => {
+        const declaration = new RegExp(`^const ${name} = .*$`, 'm');
+        if (!declaration.test(code)) throw new Error(`No single-line const ${name} to override`);
+        return code.replace(declaration, () => `const ${name} = ${JSON.stringify(value)};`);
+    }, source);
+}
+
+module.exports = { loadScript, ROOT };
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./harness/load-script');
+const { searchTermRow } = require('./harness/fixtures/reports');
+
+test('writes search terms with derived metrics to the SearchTerms tab', () => {
+    const run = loadScript('scripts/v1-step1/search-term.js', {
+        reports: [{
+            match: 'FROM search_term_view',
+            rows: [searchTermRow({ campaign: 'Search - Swimwear', impressions: 1000, clicks: 50, costMicros: 25000000, conversions: 5, value: 500 })]
+        }]
+    });
+    run.main();
+
+    const [headers, row] = run.spreadsheetApp.created[0].getSheetByName('SearchTerms').toValues();
+    assert.equal(headers[0], 'Search Term');
+    assert.deepEqual(row, ['swimwear sale', 'Search - Swimwear', 1000, 50, 25, 5, 500, 0.5, 0.05, 0.1, 5, 20, 100]);
+});
+
+test('compares against the previous period and flags new and gone terms', () => {
+    const row = (term, costMicros, conversions, value) => searchTermRow({ term, campaign: 'Search - Swimwear', costMicros, conversions, value });
+    const run = loadScript('scripts/v1-step1/search-term.js', {
+        start: Date.parse('2025-06-15T12:00:00Z'),
+        constants: { COMPARE_TO: 'PREVIOUS_PERIOD' },
+        reports: [
+            { match: '"2025-05-16" AND "2025-06-14"', rows: [row('swimwear sale', 40000000, 4, 400), row('kids swimwear', 10000000, 0, 0)] },
+            { match: '"2025-04-16" AND "2025-05-15"', rows: [row('swimwear sale', 20000000, 1, 100), row('swim caps', 5000000, 0, 0)] }
+        ]
+    });
+    run.main();
+
+    const [headers, ...rows] = run.spreadsheetApp.created[0].getSheetByName('SearchTerms').toValues();
+    const column = name => headers.indexOf(name);
+    assert.deepEqual(rows.map(r => [r[0], r[column('Status')]]), [
+        ['swimwear sale', ''], ['kids swimwear', 'NEW'], ['swim caps', 'GONE']
+    ]);
+
+    const sale = rows[0];
+    assert.equal(sale[column('Prior Cost')], 20);
+    assert.equal(sale[column('Cost Change')], 20);
+    assert.equal(sale[column('Cost Change %')], 1);
+    assert.equal(sale[column('CPA Change')], 10 - 20);
+    assert.equal(sale[column('ROAS Change %')], (10 - 5) / 5);
+    assert.equal(rows[1][column('Cost Change %')], '', 'no percent change for new terms');
+});
+
+test('adds up metrics per n-gram on one tab per n-gram size', () => {
+    const row = (term, campaign, costMicros, conversions) => searchTermRow({ term, campaign, costMicros, conversions, value: conversions * 50 });
+    const run = loadScript('scripts/v1-step1/search-term.js', {
+        reports: [{
+            match: 'FROM search_term_view',
+            rows: [
+                row('kids swimwear', 'Kids', 10000000, 1),
+                row('swimwear for kids', 'Kids', 20000000, 0),
+                row('swimwear sale', 'Sale', 30000000, 3),
+                row('swim caps', 'Accessories', 5000000, 0)
+            ]
+        }]
+    });
+    run.main();
+
+    const ss = run.spreadsheetApp.created[0];
+    const unigrams = ss.getSheetByName('NGrams 1').toValues();
+    assert.deepEqual(unigrams[0].slice(0, 7), ['1-gram', 'Search Terms', 'Impressions', 'Clicks', 'Cost', 'Conversions', 'Conv Value']);
+    assert.deepEqual(unigrams.slice(1).map(r => r.slice(0, 2)), [['swimwear', 3], ['kids', 2]], '"for" is a stop word, single-term grams are dropped');
+
+    const swimwear = unigrams[1];
+    assert.deepEqual(swimwear.slice(2, 7), [300, 30, 60, 4, 200]);
+    assert.equal(swimwear[unigrams[0].indexOf('ROAS')], 200 / 60, 'ROAS from the totals');
+
+    assert.deepEqual(ss.getSheetByName('NGrams 2').toValues().length, 1, 'no 2-gram appears in two terms');
+});
+
+test('a term that ran in several campaigns counts once towards its n-grams', () => {
+    const row = (campaign, term = 'red swimsuit') => searchTermRow({ term, campaign, conversions: 1, value: 50 });
+    const run = loadScript('scripts/v1-step1/search-term.js', {
+        reports: [{ match: 'FROM search_term_view', rows: [row('A'), row('B'), row('A', 'red hat')] }]
+    });
+    run.main();
+
+    const ss = run.spreadsheetApp.created[0];
+    const unigrams = ss.getSheetByName('NGrams 1').toValues();
+    assert.deepEqual(unigrams.slice(1).map(r => r.slice(0, 5)), [['red', 2, 300, 30, 30]], 'both rows of "red swimsuit" add to the metrics');
+    assert.equal(ss.getSheetByName('NGrams 2').toValues().length, 1, '"red swimsuit" is still a single term');
+});
+
+test('MCC mode writes a tab per client account and a summary, skipping accounts that fail', () => {
+    const row = (term, costMicros) => searchTermRow({ term, costMicros, conversions: 1, value: 50 });
+    const run = loadScript('scripts/v1-step1/search-term.js', {
+        constants: { MCC_MODE: true, ACCOUNT_LABEL: 'AI Search Terms' },
+        accounts: [
+            { customerId: '111-111-1111', name: 'Acme', labels: ['AI Search Terms'], reports: [{ match: 'FROM search_term_view', rows: [row('swimwear sale', 20000000), row('swim caps', 5000000)] }] },
+            { customerId: '222-222-2222', name: 'Broken', labels: ['AI Search Terms'], error: 'Not authorized' },
+            { customerId: '333-333-3333', name: 'Unlabelled', reports: [{ match: 'FROM search_term_view', rows: [row('ignored', 1000000)] }] }
+        ]
+    });
+    run.main();
+
+    const ss = run.spreadsheetApp.created[0];
+    assert.deepEqual(run.adsManagerApp.selected, ['111-111-1111', '222-222-2222']);
+    assert.deepEqual(ss.getSheetByName('SearchTerms - Acme').toValues().slice(1).map(r => r[0]), ['swimwear sale', 'swim caps']);
+    assert.equal(ss.getSheetByName('NGrams 1'), null, 'no n-gram tabs in MCC mode');
+
+    const [headers, acme, broken, total] = ss.getSheetByName('Search Term Accounts').toValues();
+    assert.deepEqual(headers.slice(0, 7), ['Account', 'Customer ID', 'Status', 'Search Terms', 'Impressions', 'Clicks', 'Cost']);
+    assert.deepEqual(acme.slice(0, 7), ['Acme', '111-111-1111', 'OK', 2, 200, 20, 25]);
+    assert.deepEqual(broken.slice(0, 3), ['Broken', '222-222-2222', 'ERROR']);
+    assert.match(broken[11], /Not authorized/);
+    assert.deepEqual(total.slice(0, 4), ['Total', '', '1 of 2 OK', 2]);
+});
+
+test('Shopping and PMax rows get a Channel column, with PMax cost metrics marked N/A', () => {
+    const row = (term, campaign, costMicros) => searchTermRow({ term, campaign, costMicros, conversions: 1, value: 50 });
+    const run = loadScript('scripts/v1-step1/search-term.js', {
+        constants: { INCLUDE_SHOPPING: true, INCLUDE_PMAX: true },
+        reports: [
+            { match: '"SEARCH"', rows: [row('swimwear sale', 'Search - Swimwear', 20000000)] },
+            { match: '"SHOPPING"', rows: [row('red swimsuit', 'Shopping - All', 5000000)] },
+            { match: 'FROM campaign\n', rows: [{ 'campaign.id': '987', 'campaign.name': 'PMax - Swimwear' }] },
+            {
+                match: 'campaign_search_term_insight.campaign_id = 987',
+                rows: [{
+                    'campaign_search_term_insight.category_label': 'swimwear',
+                    'metrics.impressions': '500',
+                    'metrics.clicks': '20',
+                    'metrics.conversions': '2',
+                    'metrics.conversions_value': '120'
+                }]
+            }
+        ]
+    });
+    run.main();
+
+    const ss = run.spreadsheetApp.created[0];
+    const [headers, ...rows] = ss.getSheetByName('SearchTerms').toValues();
+    const column = name => headers.indexOf(name);
+    assert.equal(headers[headers.length - 1], 'Channel');
+    assert.deepEqual(rows.map(r => [r[0], r[column('Channel')]]), [
+        ['swimwear', 'Performance Max'], ['swimwear sale', 'Search'], ['red swimsuit', 'Shopping']
+    ], 'sorted by impressions across channels');
+
+    const pmax = rows[0];
+    assert.deepEqual(['Cost', 'CPC', 'CPA', 'ROAS'].map(name => pmax[column(name)]), ['N/A', 'N/A', 'N/A', 'N/A']);
+    assert.deepEqual([pmax[column('Clicks')], pmax[column('Conversions')], pmax[column('AOV')]], [20, 2, 60]);
+    assert.equal(rows[1][column('Cost')], 20);
+});